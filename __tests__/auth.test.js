@@ -0,0 +1,74 @@
+jest.mock('../queue', () => ({ videoQueue: { client: {} } }));
+
+const { videoQueue } = require('../queue');
+const { SessionOwners } = require('../auth');
+
+describe('SessionOwners', () => {
+  const alice = { username: 'alice', admin: false };
+  const bob = { username: 'bob', admin: false };
+  const admin = { username: 'root', admin: true };
+  let owners;
+
+  beforeEach(() => {
+    owners = new Map();
+    videoQueue.client = {
+      status: 'ready',
+      hget: jest.fn(async (key, field) => owners.get(field) || null),
+      hsetnx: jest.fn(async (key, field, value) => {
+        if (!owners.has(field)) owners.set(field, value);
+      }),
+      hdel: jest.fn(async (key, field) => owners.delete(field))
+    };
+  });
+
+  test('creating a session claims it for the user', async () => {
+    await SessionOwners.authorize('s1', alice, { claim: true });
+    expect(owners.get('s1')).toBe('alice');
+    await expect(SessionOwners.authorize('s1', alice)).resolves.toBeUndefined();
+  });
+
+  test('reading a session nobody owns is a 404 and claims nothing', async () => {
+    await expect(SessionOwners.authorize('s1', alice)).rejects.toMatchObject({ status: 404 });
+    expect(videoQueue.client.hsetnx).not.toHaveBeenCalled();
+    await SessionOwners.authorize('s1', bob, { claim: true });
+    expect(owners.get('s1')).toBe('bob');
+  });
+
+  test.each([
+    ['reading', {}],
+    ['uploading to', { claim: true }]
+  ])('%s another user\'s session is a 403', async (_, options) => {
+    owners.set('s1', 'alice');
+    await expect(SessionOwners.authorize('s1', bob, options)).rejects.toMatchObject({ status: 403 });
+    expect(owners.get('s1')).toBe('alice');
+  });
+
+  test('admins can read any session', async () => {
+    owners.set('s1', 'alice');
+    await expect(SessionOwners.authorize('s1', admin)).resolves.toBeUndefined();
+    await expect(SessionOwners.authorize('unowned', admin)).resolves.toBeUndefined();
+  });
+
+  test('the watch session is never claimed or released', async () => {
+    const watch = SessionOwners.WATCH_SESSION_ID;
+    await expect(SessionOwners.authorize(watch, alice, { claim: true })).rejects.toMatchObject({ status: 403 });
+    await expect(SessionOwners.authorize(watch, alice)).rejects.toMatchObject({ status: 403 });
+    await SessionOwners.release(watch);
+    await expect(SessionOwners.authorize(watch, alice, { claim: true })).rejects.toMatchObject({ status: 403 });
+    expect(videoQueue.client.hsetnx).not.toHaveBeenCalled();
+    expect(videoQueue.client.hdel).not.toHaveBeenCalled();
+    await expect(SessionOwners.authorize(watch, admin)).resolves.toBeUndefined();
+  });
+
+  test('without the store nothing is authorized', async () => {
+    videoQueue.client.status = 'reconnecting';
+    await expect(SessionOwners.authorize('s1', alice, { claim: true })).rejects.toMatchObject({ status: 503 });
+  });
+
+  test('a released session can be claimed again', async () => {
+    owners.set('s1', 'alice');
+    await SessionOwners.release('s1');
+    await SessionOwners.authorize('s1', bob, { claim: true });
+    expect(owners.get('s1')).toBe('bob');
+  });
+});
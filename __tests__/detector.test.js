@@ -0,0 +1,107 @@
+const { GoProFileDetector, isAllowedUploadType } = require('../detector');
+
+describe('GoProFileDetector.parseGoProFilename', () => {
+  test.each([
+    // HERO6+ chaptered
+    ['GX010042.MP4', { scheme: 'chaptered', prefix: 'GX', encoding: 'X', chapter: 1, sequence: 42, extension: 'MP4', role: 'video', firstChapter: 1 }],
+    ['GH020042.MP4', { scheme: 'chaptered', prefix: 'GH', encoding: 'H', chapter: 2, sequence: 42, extension: 'MP4', role: 'video', firstChapter: 1 }],
+    ['GX010042.LRV', { scheme: 'chaptered', prefix: 'GX', chapter: 1, sequence: 42, role: 'proxy' }],
+    ['GH010042.THM', { scheme: 'chaptered', prefix: 'GH', chapter: 1, sequence: 42, role: 'thumbnail' }],
+    ['gx030007.mp4', { scheme: 'chaptered', prefix: 'GX', encoding: 'X', chapter: 3, sequence: 7, extension: 'MP4', role: 'video' }],
+    // HERO6+ shared low-res proxies
+    ['GL010042.LRV', { scheme: 'chaptered', prefix: 'GL', encoding: null, videoPrefixes: ['GH', 'GX'], chapter: 1, sequence: 42, role: 'proxy' }],
+    // HERO6+ looping, lettered chapters
+    ['GXAA0042.MP4', { scheme: 'looping', prefix: 'GXL', encoding: 'X', chapter: 1, sequence: 42, role: 'video' }],
+    ['GHAB0042.MP4', { scheme: 'looping', prefix: 'GHL', encoding: 'H', chapter: 2, sequence: 42, role: 'video' }],
+    ['GHBA0042.MP4', { scheme: 'looping', prefix: 'GHL', chapter: 27, sequence: 42 }],
+    ['GHAB0042.THM', { scheme: 'looping', prefix: 'GHL', chapter: 2, role: 'thumbnail' }],
+    // MAX spherical
+    ['GS010042.360', { scheme: 'spherical', prefix: 'GS', encoding: 'X', chapter: 1, sequence: 42, extension: '360', role: 'video' }],
+    ['GS020042.LRV', { scheme: 'spherical', prefix: 'GS', chapter: 2, role: 'proxy' }],
+    ['GS010042.THM', { scheme: 'spherical', prefix: 'GS', chapter: 1, role: 'thumbnail' }],
+    // HERO5 and earlier
+    ['GOPR0042.MP4', { scheme: 'legacy', prefix: 'GOPR', encoding: 'H', chapter: 0, sequence: 42, role: 'video', firstChapter: 0 }],
+    ['GOPR0042.LRV', { scheme: 'legacy', prefix: 'GOPR', chapter: 0, role: 'proxy' }],
+    ['GOPR0042.THM', { scheme: 'legacy', prefix: 'GOPR', chapter: 0, role: 'thumbnail' }],
+    ['GP010042.MP4', { scheme: 'legacy', prefix: 'GOPR', encoding: 'H', chapter: 1, sequence: 42, role: 'video', firstChapter: 0 }],
+    ['GP020042.THM', { scheme: 'legacy', prefix: 'GOPR', chapter: 2, role: 'thumbnail' }]
+  ])('parses %s', (filename, expected) => {
+    expect(GoProFileDetector.parseGoProFilename(filename)).toMatchObject({ isGoPro: true, ...expected });
+  });
+
+  test.each([
+    ['GX0142.MP4', 'too few digits'],
+    ['GX0100042.MP4', 'too many digits'],
+    ['GX010042.MOV', 'unsupported extension'],
+    ['GX010042.MP4.bak', 'trailing suffix'],
+    ['GL010042.MP4', 'GL is only used for proxies'],
+    ['GS010042.MP4', 'MAX video is .360'],
+    ['GP010042.360', 'legacy cameras never wrote .360'],
+    ['GOPR042.MP4', 'legacy sequence is four digits'],
+    ['GHA10042.MP4', 'looping chapters are two letters'],
+    ['GZ010042.MP4', 'unknown encoding letter'],
+    ['DJI_0001.MP4', 'another vendor'],
+    ['VID_20240101.mp4', 'phone recording']
+  ])('rejects %s (%s)', (filename) => {
+    expect(GoProFileDetector.parseGoProFilename(filename)).toEqual({ isGoPro: false });
+  });
+});
+
+describe('GoProFileDetector.groupFiles', () => {
+  const upload = (originalname) => ({ originalname, filename: originalname, path: `/uploads/${originalname}`, size: 1 });
+
+  test('groups chapters per prefix and sequence in chapter order', () => {
+    const groups = GoProFileDetector.groupFiles(
+      ['GX020042.MP4', 'GX010042.MP4', 'GH010042.MP4', 'GP010007.MP4', 'GOPR0007.MP4', 'notes.txt'].map(upload)
+    );
+
+    expect(groups.map(group => [group.prefix, group.sequence, group.chapters.map(ch => ch.filename)])).toEqual([
+      ['GX', 42, ['GX010042.MP4', 'GX020042.MP4']],
+      ['GH', 42, ['GH010042.MP4']],
+      ['GOPR', 7, ['GOPR0007.MP4', 'GP010007.MP4']]
+    ]);
+  });
+
+  test.each([
+    ['GX010042.LRV', 'GX010042.MP4', 'proxy'],
+    ['GX010042.THM', 'GX010042.MP4', 'thumbnail'],
+    ['GL010042.LRV', 'GX010042.MP4', 'proxy'],
+    ['GS010042.LRV', 'GS010042.360', 'proxy'],
+    ['GOPR0042.THM', 'GOPR0042.MP4', 'thumbnail'],
+    ['GP010042.LRV', 'GP010042.MP4', 'proxy']
+  ])('attaches %s to %s as its %s', (companion, video, role) => {
+    const [group] = GoProFileDetector.groupFiles([upload(companion), upload(video)]);
+
+    expect(group.chapters).toHaveLength(1);
+    expect(group.chapters[0].filename).toBe(video);
+    expect(group.chapters[0][role]).toMatchObject({ filename: companion });
+  });
+
+  test.each([
+    ['GX020042.LRV', 'a chapter that was not uploaded'],
+    ['GH010042.THM', 'a different encoding'],
+    ['GS010042.LRV', 'a different scheme']
+  ])('drops %s, which belongs to %s', (companion) => {
+    const [group] = GoProFileDetector.groupFiles([upload('GX010042.MP4'), upload(companion)]);
+
+    expect(group.chapters[0].proxy).toBeUndefined();
+    expect(group.chapters[0].thumbnail).toBeUndefined();
+  });
+
+  test('does not make a group out of companions alone', () => {
+    expect(GoProFileDetector.groupFiles([upload('GX010042.LRV'), upload('GX010042.THM')])).toEqual([]);
+  });
+});
+
+describe('isAllowedUploadType', () => {
+  test.each([
+    ['GX010042.MP4', true],
+    ['GS010042.360', true],
+    ['GL010042.lrv', true],
+    ['GOPR0042.THM', true],
+    ['GX010042.MOV', false],
+    ['archive.zip', false]
+  ])('%s -> %s', (filename, allowed) => {
+    expect(isAllowedUploadType(filename)).toBe(allowed);
+  });
+});
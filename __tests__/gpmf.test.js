@@ -0,0 +1,136 @@
+const { GPMF } = require('../gpmf');
+
+// Builds one KLV: 4-byte key, type, struct size, repeat count, payload padded to 32 bits
+const klv = (key, type, structSize, repeat, payload) => {
+  const header = Buffer.alloc(8);
+  header.write(key, 0, 'latin1');
+  header.writeUInt8(type ? type.charCodeAt(0) : 0, 4);
+  header.writeUInt8(structSize, 5);
+  header.writeUInt16BE(repeat, 6);
+  const padding = Buffer.alloc((4 - (payload.length % 4)) % 4);
+  return Buffer.concat([header, payload, padding]);
+};
+
+const nest = (key, children) => {
+  const payload = Buffer.concat(children);
+  return klv(key, null, 4, payload.length / 4, payload);
+};
+
+const int16s = (values) => {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeInt16BE(value, i * 2));
+  return buffer;
+};
+
+const int32s = (values) => {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeInt32BE(value, i * 4));
+  return buffer;
+};
+
+const text = (value) => klv('STNM', 'c', 1, value.length, Buffer.from(value, 'latin1'));
+
+// One DEVC with an accelerometer stream: two samples of x, y, z scaled by 100
+const accelPacket = () => nest('DEVC', [
+  nest('STRM', [
+    text('Accelerometer'),
+    klv('SIUN', 'c', 4, 1, Buffer.from('m/s²', 'latin1')),
+    klv('SCAL', 's', 2, 1, int16s([100])),
+    klv('ACCL', 's', 6, 2, int16s([981, 12, -34, 975, 10, -30]))
+  ])
+]);
+
+// GPS5 with the GPSU start time, fix and precision
+const gpsPacket = () => nest('DEVC', [
+  nest('STRM', [
+    klv('GPSU', 'U', 16, 1, Buffer.from('240601100000.000', 'latin1')),
+    klv('GPSF', 'L', 4, 1, int32s([3])),
+    klv('GPSP', 'S', 2, 1, int16s([150])),
+    klv('SCAL', 'l', 4, 5, int32s([10000000, 10000000, 1000, 1000, 100])),
+    klv('GPS5', 'l', 20, 2, int32s([
+      473000000, 85000000, 500000, 5000, 510,
+      473000100, 85000100, 501000, 5100, 520
+    ]))
+  ])
+]);
+
+describe('GPMF.parseKLV', () => {
+  test('reads keys, types and nested containers', () => {
+    const [devc] = GPMF.parseKLV(accelPacket());
+    expect(devc).toMatchObject({ key: 'DEVC', type: null });
+    const [strm] = devc.children;
+    expect(strm.key).toBe('STRM');
+    expect(strm.children.map(entry => [entry.key, entry.type, entry.structSize, entry.repeat])).toEqual([
+      ['STNM', 'c', 1, 13],
+      ['SIUN', 'c', 4, 1],
+      ['SCAL', 's', 2, 1],
+      ['ACCL', 's', 6, 2]
+    ]);
+  });
+
+  test('skips the 32-bit padding between entries', () => {
+    // 13 bytes of name are padded to 16, so SIUN must start right after the padding
+    const [, siun] = GPMF.parseKLV(Buffer.concat([text('Accelerometer'), klv('SIUN', 'c', 4, 1, Buffer.from('m/s2'))]));
+    expect(siun.key).toBe('SIUN');
+  });
+
+  test('stops at a truncated entry instead of reading past the buffer', () => {
+    const packet = klv('ACCL', 's', 6, 2, int16s([1, 2, 3, 4, 5, 6]));
+    expect(GPMF.parseKLV(packet.subarray(0, 12))).toEqual([]);
+  });
+
+  test('stops at a null key', () => {
+    const packet = Buffer.concat([text('Gyro'), Buffer.alloc(8), text('ignored')]);
+    expect(GPMF.parseKLV(packet).map(entry => entry.key)).toEqual(['STNM']);
+  });
+});
+
+describe('GPMF.decode', () => {
+  test('splits a struct into one array per sample', () => {
+    const entry = GPMF.parseKLV(klv('ACCL', 's', 6, 2, int16s([981, 12, -34, 975, 10, -30])))[0];
+    expect(GPMF.decode(entry)).toEqual([[981, 12, -34], [975, 10, -30]]);
+  });
+
+  test('decodes complex types from their TYPE definition', () => {
+    const payload = Buffer.concat([int32s([7]), int16s([300])]);
+    const entry = GPMF.parseKLV(klv('CORI', '?', 6, 1, payload))[0];
+    expect(GPMF.decode(entry, 'lS')).toEqual([[7, 300]]);
+  });
+
+  test('reads strings stored one character per struct', () => {
+    const [entry] = GPMF.parseKLV(text('Gyroscope'));
+    expect(GPMF.decode(entry)).toEqual(['Gyroscope']);
+  });
+});
+
+describe('GPMF.extractSamples', () => {
+  test('scales samples and spreads them evenly over the packet on the merged timeline', () => {
+    const [stream] = GPMF.extractSamples(accelPacket(), 10, 1);
+    expect(stream).toMatchObject({ key: 'ACCL', name: 'Accelerometer', units: 'm/s²' });
+    expect(stream.samples).toEqual([
+      { t: 10, values: [9.81, 0.12, -0.34] },
+      { t: 10.5, values: [9.75, 0.1, -0.3] }
+    ]);
+  });
+});
+
+describe('GPMF.buildTrack', () => {
+  test('offsets packet timestamps by their chapter position', () => {
+    const track = GPMF.buildTrack([
+      { offset: 0, duration: 531.531, packets: [{ pts: 0, duration: 1, payload: accelPacket() }] },
+      { offset: 531.531, duration: 2, packets: [{ pts: 1, duration: 1, payload: accelPacket() }] }
+    ]);
+    expect(track.duration).toBeCloseTo(533.531);
+    expect(track.sensors.ACCL.samples.map(sample => sample.t)).toEqual([0, 0.5, 532.531, 533.031]);
+  });
+
+  test('turns GPS5 into points with UTC times from GPSU', () => {
+    const track = GPMF.buildTrack([{ offset: 60, duration: 1, packets: [{ pts: 0, duration: 1, payload: gpsPacket() }] }]);
+    expect(track.gps).toHaveLength(2);
+    expect(track.gps[0]).toMatchObject({ t: 60, lat: 47.3, lon: 8.5, alt: 500, speed2d: 5, fix: 3, precision: 1.5 });
+    expect(track.gps[0].utc).toBe(Date.UTC(2024, 5, 1, 10, 0, 0));
+    expect(track.gps[1].t).toBe(60.5);
+    expect(track.gps[1].utc).toBe(Date.UTC(2024, 5, 1, 10, 0, 0, 500));
+    expect(track.sensors).toEqual({});
+  });
+});
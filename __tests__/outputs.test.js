@@ -0,0 +1,130 @@
+jest.mock('../queue', () => ({ videoQueue: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-test-'));
+process.env.OUTPUT_DIR = path.join(root, 'outputs');
+process.env.DOWNLOAD_LINK_SECRET = 'test-secret';
+
+const { OUTPUT_DIR } = require('../config');
+const { SessionFiles } = require('../sessions');
+const { OutputNames, DownloadLinks, JobLogs } = require('../outputs');
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('OutputNames.render', () => {
+  test.each([
+    ['{prefix}{sequence}_{label}', { prefix: 'GX', sequence: '0042', label: 'Alps' }, 'GX0042_Alps'],
+    ['{label}', { label: 'a/b:c' }, 'a_b_c'],
+    ['{label}_{missing}', { label: 'ride' }, 'ride_'],
+    ['{label}', { label: '  ' }, 'GoPro_Merged'],
+    ['{label}', { label: '.hidden' }, 'hidden'],
+    ['{label}', { label: '..' }, 'GoPro_Merged'],
+    ['{label}', { label: '...' }, 'GoPro_Merged'],
+    ['{label}{groupId}', { label: '. .', groupId: 'x' }, 'x'],
+    ['{label}', { label: '../etc' }, '_etc'],
+    ['{label}', { label: 'filelist_1' }, 'GoPro_filelist_1']
+  ])('%s with %j renders %s', (template, fields, expected) => {
+    expect(OutputNames.render(template, fields)).toBe(expected);
+  });
+});
+
+describe('OutputNames.forJob', () => {
+  test.each([
+    ['GoPro_{groupId}', 'copy', 'GoPro_group_GX0042'],
+    ['GoPro_{groupId}', 'h264-1080p', 'GoPro_group_GX0042_h264-1080p'],
+    ['GoPro_{groupId}_{profile}', 'h264-1080p', 'GoPro_group_GX0042_h264-1080p']
+  ])('%s with the %s profile renders %s', (template, profile, expected) => {
+    expect(OutputNames.forJob(template, { groupId: 'group_GX0042', profile })).toBe(expected);
+  });
+});
+
+describe('JobLogs.path', () => {
+  test('keeps a session job\'s log hidden in its output dir', () => {
+    const job = { id: 'merge_abc_1', data: { sessionId: 'session-1' } };
+    expect(JobLogs.path(job)).toBe(path.join(OUTPUT_DIR, 'session-1', '.job-merge_abc_1.log'));
+  });
+
+  test('keeps watch-folder logs out of the session dirs', () => {
+    const job = { id: 'watch_abc', data: { sessionId: 'watch', destination: { dir: '/nas/merged' } } };
+    expect(JobLogs.path(job)).toBe(path.join(OUTPUT_DIR, '.job-logs', 'watch_abc.log'));
+  });
+});
+
+describe('SessionFiles.resolveOutput', () => {
+  const outputDir = path.join(OUTPUT_DIR, 'download-session');
+
+  beforeAll(() => {
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.mkdirSync(path.join(root, 'private'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'GoPro_GX0042.mp4'), 'data');
+    fs.writeFileSync(path.join(outputDir, '.GoPro_GX0043.mp4.partial'), 'data');
+    fs.writeFileSync(path.join(root, 'private', 'key.pem'), 'secret');
+    fs.symlinkSync(path.join(root, 'private', 'key.pem'), path.join(outputDir, 'key.mp4'));
+    fs.symlinkSync(path.join(outputDir, 'GoPro_GX0042.mp4'), path.join(outputDir, 'alias.mp4'));
+  });
+
+  test('resolves a file directly inside the session\'s output dir', () => {
+    expect(SessionFiles.resolveOutput('download-session', 'GoPro_GX0042.mp4')).toBe(path.join(outputDir, 'GoPro_GX0042.mp4'));
+  });
+
+  test('allows a symlink to another file in the same dir', () => {
+    expect(SessionFiles.resolveOutput('download-session', 'alias.mp4')).toBe(path.join(outputDir, 'alias.mp4'));
+  });
+
+  test.each([
+    ['../ segments', '../other-session/GoPro_GX0042.mp4'],
+    ['a climb out of the output dir', '../../private/key.pem'],
+    ['an absolute path', path.join(root, 'private', 'key.pem')],
+    ['a subdirectory', 'nested/GoPro_GX0042.mp4'],
+    ['a hidden partial output', '.GoPro_GX0043.mp4.partial'],
+    ['a concat list', 'filelist_123.txt'],
+    ['a symlink out of the output dir', 'key.mp4'],
+    ['a non-string name', ['GoPro_GX0042.mp4']]
+  ])('rejects %s', (_, filename) => {
+    expect(SessionFiles.resolveOutput('download-session', filename)).toBeNull();
+  });
+});
+
+describe('DownloadLinks.verify', () => {
+  const signedQuery = (sessionId, filename, hours = 1) => Object.fromEntries(
+    new URL(DownloadLinks.create(sessionId, filename, hours).url, 'http://localhost').searchParams
+  );
+
+  test('accepts a link it signed', () => {
+    expect(DownloadLinks.verify('session-1', 'GoPro_GX0042.mp4', signedQuery('session-1', 'GoPro_GX0042.mp4'))).toBe(true);
+  });
+
+  test('encodes the session and filename into the link', () => {
+    expect(DownloadLinks.create('session-1', 'a b#.mp4').url).toMatch(/^\/api\/download\/session-1\/a%20b%23\.mp4\?expires=\d+&signature=/);
+  });
+
+  test.each([
+    ['another file', 'session-1', 'GoPro_GX0043.mp4'],
+    ['another session', 'session-2', 'GoPro_GX0042.mp4'],
+    ['a path around the same file', 'session-1', '../session-1/GoPro_GX0042.mp4']
+  ])('rejects the signature for %s', (_, sessionId, filename) => {
+    expect(DownloadLinks.verify(sessionId, filename, signedQuery('session-1', 'GoPro_GX0042.mp4'))).toBe(false);
+  });
+
+  test('rejects an expired link', () => {
+    const expires = String(Math.floor(Date.now() / 1000) - 60);
+    const signature = DownloadLinks.signature('session-1', 'GoPro_GX0042.mp4', expires);
+    expect(DownloadLinks.verify('session-1', 'GoPro_GX0042.mp4', { expires, signature })).toBe(false);
+  });
+
+  test.each([
+    ['an extended expiry', query => ({ ...query, expires: String(Number(query.expires) + 3600) })],
+    ['a non-numeric expiry', query => ({ ...query, expires: `${query.expires}.5` })],
+    ['a tampered signature', query => ({ ...query, signature: `${query.signature.slice(0, -1)}${query.signature.endsWith('A') ? 'B' : 'A'}` })],
+    ['a truncated signature', query => ({ ...query, signature: query.signature.slice(0, 10) })],
+    ['an empty signature', query => ({ ...query, signature: '' })]
+  ])('rejects %s', (_, tamper) => {
+    const query = tamper(signedQuery('session-1', 'GoPro_GX0042.mp4'));
+    expect(DownloadLinks.verify('session-1', 'GoPro_GX0042.mp4', query)).toBe(false);
+  });
+});
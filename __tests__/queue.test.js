@@ -0,0 +1,115 @@
+jest.mock('bull', () => jest.fn().mockImplementation(() => ({ on: jest.fn() })));
+
+const { SessionJobs } = require('../queue');
+
+describe('SessionJobs.jobKey', () => {
+  const base = {
+    sessionId: 'session-1',
+    groupId: 'group_GX0042',
+    files: [{ id: 'GX010042.MP4' }, { id: 'GX020042.MP4' }],
+    profile: 'copy',
+    clips: null,
+    precise: false,
+    preview: false,
+    label: 'Alps',
+    requestId: 'request-1'
+  };
+
+  test('is stable for the same request', () => {
+    expect(SessionJobs.jobKey({ ...base })).toBe(SessionJobs.jobKey(base));
+    expect(SessionJobs.jobKey(base)).toMatch(/^merge_[0-9a-f]{32}$/);
+  });
+
+  test('ignores the request id', () => {
+    expect(SessionJobs.jobKey({ ...base, requestId: 'request-2' })).toBe(SessionJobs.jobKey(base));
+  });
+
+  test.each([
+    ['another session', { sessionId: 'session-2' }],
+    ['another group', { groupId: 'group_GX0043' }],
+    ['fewer chapters', { files: [{ id: 'GX010042.MP4' }] }],
+    ['reordered chapters', { files: [{ id: 'GX020042.MP4' }, { id: 'GX010042.MP4' }] }],
+    ['another profile', { profile: 'h264-1080p' }],
+    ['clips', { clips: [{ start: 0, end: 10 }] }],
+    ['precise cuts', { precise: true }],
+    ['a preview', { preview: true }],
+    ['another label', { label: 'Dolomites' }]
+  ])('changes with %s', (_, change) => {
+    expect(SessionJobs.jobKey({ ...base, ...change })).not.toBe(SessionJobs.jobKey(base));
+  });
+});
+
+describe('SessionJobs.add', () => {
+  const { videoQueue } = require('../queue');
+  const data = { sessionId: 'session-1', groupId: 'group_GX0042', files: [{ id: 'GX010042.MP4' }], profile: 'copy' };
+  const key = SessionJobs.jobKey(data);
+  let jobs;
+  let runs;
+
+  beforeEach(() => {
+    jobs = new Map();
+    runs = new Map();
+    videoQueue.getJob = jest.fn(async (id) => jobs.get(id) || null);
+    videoQueue.add = jest.fn(async (name, jobData, { jobId }) => {
+      const job = { id: jobId, data: jobData, getState: async () => 'waiting' };
+      jobs.set(jobId, job);
+      return job;
+    });
+    videoQueue.client = {
+      hget: jest.fn(async (hash, field) => runs.get(field) || null),
+      hset: jest.fn(async (hash, field, value) => runs.set(field, String(value))),
+      sadd: jest.fn(async () => 1)
+    };
+  });
+
+  test('queues the first run and tracks it for the session', async () => {
+    const { job, duplicate } = await SessionJobs.add(data);
+    expect(duplicate).toBe(false);
+    expect(job.id).toBe(`${key}_1`);
+    expect(videoQueue.client.sadd).toHaveBeenCalledWith(`${SessionJobs.KEY_PREFIX}session-1`, `${key}_1`);
+  });
+
+  test('hands back the live job on a double submit', async () => {
+    const first = await SessionJobs.add(data);
+    const second = await SessionJobs.add(data);
+    expect(second).toEqual({ job: first.job, duplicate: true });
+    expect(videoQueue.add).toHaveBeenCalledTimes(1);
+  });
+
+  test.each(['completed', 'failed'])('keeps a %s run and queues the next one under a new id', async (state) => {
+    const first = await SessionJobs.add(data);
+    first.job.getState = async () => state;
+    first.job.remove = jest.fn();
+
+    const second = await SessionJobs.add(data);
+    expect(second.duplicate).toBe(false);
+    expect(second.job.id).toBe(`${key}_2`);
+    expect(first.job.remove).not.toHaveBeenCalled();
+    expect(jobs.get(`${key}_1`)).toBe(first.job);
+  });
+});
+
+describe('SessionJobs.list', () => {
+  const { videoQueue } = require('../queue');
+
+  test('loads only the session\'s tracked jobs and drops the ones Bull has trimmed', async () => {
+    const job = {
+      id: 'merge_a',
+      data: { sessionId: 'session-1', groupId: 'group_GX0042' },
+      timestamp: Date.parse('2024-06-01T10:00:00Z'),
+      getState: async () => 'completed',
+      progress: () => 100
+    };
+    videoQueue.getJob = jest.fn(async (id) => (id === 'merge_a' ? job : null));
+    videoQueue.getJobs = jest.fn();
+    videoQueue.client = {
+      smembers: jest.fn(async () => ['merge_a', 'merge_gone']),
+      srem: jest.fn(async () => 1)
+    };
+
+    const jobs = await SessionJobs.list('session-1');
+    expect(jobs.map(j => [j.id, j.state])).toEqual([['merge_a', 'completed']]);
+    expect(videoQueue.client.srem).toHaveBeenCalledWith(`${SessionJobs.KEY_PREFIX}session-1`, 'merge_gone');
+    expect(videoQueue.getJobs).not.toHaveBeenCalled();
+  });
+});
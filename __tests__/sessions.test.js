@@ -0,0 +1,225 @@
+jest.mock('../queue', () => ({ videoQueue: { client: { status: 'end' } } }));
+jest.mock('../metrics', () => ({ Metrics: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+process.env.UPLOAD_DIR = path.join(root, 'uploads');
+process.env.OUTPUT_DIR = path.join(root, 'outputs');
+process.env.MIN_FREE_DISK_BYTES = '1';
+process.env.IMPORT_ROOTS = `footage=${path.join(root, 'footage')},offline=${path.join(root, 'not-mounted')}`;
+
+const { SessionFiles, ImportRoots, SessionGroups, ChunkedUploads } = require('../sessions');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('ChunkedUploads.appendChunk', () => {
+  const data = Buffer.from('0123456789abcdef');
+  let sequence = 0;
+  let upload;
+
+  // A fresh file each time, since creating the same name and size again resumes the upload
+  beforeEach(async () => {
+    sequence += 1;
+    upload = await ChunkedUploads.create('upload-session', { filename: `GX01${String(sequence).padStart(4, '0')}.MP4`, size: data.length });
+  });
+
+  const partSize = () => fs.statSync(ChunkedUploads.partPath('upload-session', upload.uploadId)).size;
+
+  test('appends chunks at the recorded offset', () => {
+    const first = data.subarray(0, 10);
+    expect(ChunkedUploads.appendChunk('upload-session', upload.uploadId, 0, first, sha256(first)).offset).toBe(10);
+
+    const rest = data.subarray(10);
+    const meta = ChunkedUploads.appendChunk('upload-session', upload.uploadId, 10, rest, sha256(rest).toUpperCase());
+    expect(ChunkedUploads.describe(meta)).toMatchObject({ offset: data.length, complete: true });
+    expect(fs.readFileSync(ChunkedUploads.partPath('upload-session', upload.uploadId))).toEqual(data);
+  });
+
+  test.each([
+    ['before', 0],
+    ['past', 12]
+  ])('rejects an offset %s the recorded one with a 409', (_, offset) => {
+    const first = data.subarray(0, 6);
+    ChunkedUploads.appendChunk('upload-session', upload.uploadId, 0, first, sha256(first));
+
+    const chunk = data.subarray(offset, offset + 4);
+    expect(() => ChunkedUploads.appendChunk('upload-session', upload.uploadId, offset, chunk, sha256(chunk)))
+      .toThrow(expect.objectContaining({ status: 409, code: 'OFFSET_MISMATCH' }));
+    expect(partSize()).toBe(6);
+  });
+
+  test.each([
+    ['a wrong checksum', sha256(Buffer.from('other'))],
+    ['no checksum', undefined]
+  ])('rejects a chunk with %s and writes nothing', (_, checksum) => {
+    expect(() => ChunkedUploads.appendChunk('upload-session', upload.uploadId, 0, data.subarray(0, 8), checksum))
+      .toThrow(expect.objectContaining({ status: 422, code: 'CHECKSUM_MISMATCH' }));
+    expect(partSize()).toBe(0);
+    expect(ChunkedUploads.load('upload-session', upload.uploadId).offset).toBe(0);
+  });
+
+  test('rejects a chunk that runs past the declared size', () => {
+    const chunk = Buffer.concat([data, Buffer.from('x')]);
+    expect(() => ChunkedUploads.appendChunk('upload-session', upload.uploadId, 0, chunk, sha256(chunk)))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('truncates a chunk torn by a full disk back to the recorded offset', () => {
+    const first = data.subarray(0, 4);
+    ChunkedUploads.appendChunk('upload-session', upload.uploadId, 0, first, sha256(first));
+
+    const append = fs.appendFileSync;
+    const spy = jest.spyOn(fs, 'appendFileSync').mockImplementationOnce((file, chunk) => {
+      append(file, chunk.subarray(0, 3));
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' });
+    });
+    const chunk = data.subarray(4, 12);
+    try {
+      expect(() => ChunkedUploads.appendChunk('upload-session', upload.uploadId, 4, chunk, sha256(chunk)))
+        .toThrow(expect.objectContaining({ status: 507, code: 'INSUFFICIENT_STORAGE' }));
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(partSize()).toBe(4);
+    expect(ChunkedUploads.load('upload-session', upload.uploadId).offset).toBe(4);
+    // The client resends the same chunk once space frees up
+    expect(ChunkedUploads.appendChunk('upload-session', upload.uploadId, 4, chunk, sha256(chunk)).offset).toBe(12);
+  });
+});
+
+describe('SessionGroups.resolveSelection', () => {
+  const sessionId = 'selection-session';
+  const uploadDir = SessionFiles.uploadDir(sessionId);
+  const outside = path.join(root, 'elsewhere');
+
+  const chapter = (number, dir = uploadDir) => {
+    const filename = `GX${String(number).padStart(2, '0')}0042.MP4`;
+    return { id: `GX0042_${number}`, chapter: number, filename, path: path.join(dir, filename), size: 4, probe: { unavailable: true } };
+  };
+
+  const writeGroup = (chapters) => {
+    const group = { id: 'group_GX0042', prefix: 'GX', sequence: '0042', firstChapter: 1, extension: 'MP4', chapters };
+    fs.writeFileSync(SessionGroups.manifestPath(sessionId), JSON.stringify({ groups: [group] }));
+  };
+
+  beforeAll(() => {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    fs.mkdirSync(path.join(uploadDir, 'nested'), { recursive: true });
+    fs.mkdirSync(outside, { recursive: true });
+    [uploadDir, path.join(uploadDir, 'nested'), outside].forEach(dir => {
+      [1, 2, 3].forEach(number => fs.writeFileSync(chapter(number, dir).path, 'data'));
+    });
+  });
+
+  test('keeps every chapter in order when none are listed', () => {
+    writeGroup([chapter(1), chapter(2), chapter(3)]);
+    const group = SessionGroups.resolveSelection(sessionId, 'group_GX0042');
+    expect(group.chapters.map(ch => ch.id)).toEqual(['GX0042_1', 'GX0042_2', 'GX0042_3']);
+  });
+
+  test('a chapter list excludes and reorders chapters', () => {
+    writeGroup([chapter(1), chapter(2), chapter(3)]);
+    const group = SessionGroups.resolveSelection(sessionId, { id: 'group_GX0042', chapters: ['GX0042_3', 'GX0042_1'] });
+    expect(group.chapters.map(ch => ch.path)).toEqual([chapter(3).path, chapter(1).path]);
+  });
+
+  test.each([
+    ['an unknown group', { id: 'group_GX9999' }, /Unknown group/],
+    ['an unknown chapter', { id: 'group_GX0042', chapters: ['GX0042_9'] }, /Unknown chapter/],
+    ['a chapter given as a path', { id: 'group_GX0042', chapters: [{ path: '/etc/passwd' }] }, /listed by id/],
+    ['a repeated chapter', { id: 'group_GX0042', chapters: ['GX0042_1', 'GX0042_1'] }, /more than once/],
+    ['an empty chapter list', { id: 'group_GX0042', chapters: [] }, /at least one chapter/]
+  ])('rejects %s', (_, selection, message) => {
+    writeGroup([chapter(1), chapter(2), chapter(3)]);
+    expect(() => SessionGroups.resolveSelection(sessionId, selection))
+      .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(message) }));
+  });
+
+  test.each([
+    ['outside the session', () => chapter(2, outside)],
+    ['in a subdirectory of the session', () => chapter(2, path.join(uploadDir, 'nested'))],
+    ['behind ../ segments', () => ({ ...chapter(2), path: path.join(uploadDir, '..', '..', 'elsewhere', chapter(2).filename) })],
+    ['that no longer exists', () => ({ ...chapter(2), path: path.join(uploadDir, 'GX990042.MP4') })]
+  ])('rejects a recorded chapter path %s', (_, recorded) => {
+    writeGroup([chapter(1), recorded(), chapter(3)]);
+    expect(() => SessionGroups.resolveSelection(sessionId, 'group_GX0042'))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Chapter GX0042_2 is not available in this session' }));
+  });
+
+  test('leaving out an unavailable chapter lets the rest through', () => {
+    writeGroup([chapter(1), chapter(2, outside), chapter(3)]);
+    const group = SessionGroups.resolveSelection(sessionId, { id: 'group_GX0042', chapters: ['GX0042_1', 'GX0042_3'] });
+    expect(group.chapters.map(ch => ch.id)).toEqual(['GX0042_1', 'GX0042_3']);
+  });
+
+  test('a preview needs every proxy inside the session', () => {
+    const proxy = (dir) => ({ path: path.join(dir, 'GL010042.LRV'), size: 4 });
+    fs.writeFileSync(proxy(uploadDir).path, 'data');
+    fs.writeFileSync(proxy(outside).path, 'data');
+
+    writeGroup([{ ...chapter(1), proxy: proxy(uploadDir) }]);
+    expect(SessionGroups.resolveSelection(sessionId, 'group_GX0042', { preview: true }).chapters).toHaveLength(1);
+
+    writeGroup([{ ...chapter(1), proxy: proxy(outside) }, chapter(2)]);
+    expect(() => SessionGroups.resolveSelection(sessionId, 'group_GX0042', { preview: true }))
+      .toThrow(/GX0042_1 has no LRV proxy/);
+  });
+});
+
+describe('ImportRoots.resolve', () => {
+  const footage = path.join(root, 'footage');
+  const secret = path.join(root, 'secret');
+
+  beforeAll(() => {
+    fs.mkdirSync(path.join(footage, 'DCIM', '100GOPRO'), { recursive: true });
+    fs.mkdirSync(secret, { recursive: true });
+    fs.writeFileSync(path.join(secret, 'GX010001.MP4'), 'data');
+    fs.symlinkSync(secret, path.join(footage, 'escape'));
+    fs.symlinkSync(path.join(footage, 'DCIM', '100GOPRO'), path.join(footage, 'latest'));
+  });
+
+  test.each([
+    ['', ''],
+    ['DCIM/100GOPRO', path.join('DCIM', '100GOPRO')],
+    ['DCIM/../DCIM/100GOPRO/', path.join('DCIM', '100GOPRO')],
+    ['latest', path.join('DCIM', '100GOPRO')]
+  ])('resolves %j inside the root as %j', (relativePath, expected) => {
+    const resolved = ImportRoots.resolve('footage', relativePath);
+    expect(resolved.relativePath).toBe(expected);
+    expect(resolved.target).toBe(path.join(fs.realpathSync(footage), expected));
+  });
+
+  // Such paths are resolved against the root, where nothing by that name exists
+  test.each([
+    ['../ segments', '../secret'],
+    ['../ segments past a subdirectory', 'DCIM/../../secret'],
+    ['an absolute path', path.join(secret, 'GX010001.MP4')]
+  ])('keeps a path with %s inside the root', (_, relativePath) => {
+    expect(() => ImportRoots.resolve('footage', relativePath)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test.each([
+    ['escape'],
+    ['escape/GX010001.MP4']
+  ])('rejects %j, which a symlink points outside the root', (relativePath) => {
+    expect(() => ImportRoots.resolve('footage', relativePath))
+      .toThrow(expect.objectContaining({ status: 400, message: 'Path is outside the import root' }));
+  });
+
+  test.each([
+    ['an unknown root', 'nas', '', 404],
+    ['a root that is not mounted', 'offline', '', 404],
+    ['a path that is not a string', 'footage', ['DCIM'], 400]
+  ])('rejects %s', (_, name, relativePath, status) => {
+    expect(() => ImportRoots.resolve(name, relativePath)).toThrow(expect.objectContaining({ status }));
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../queue', () => ({ videoQueue: { client: {} } }));
+
+process.env.MIN_FREE_DISK_BYTES = '100';
+
+const { videoQueue } = require('../queue');
+const { DiskSpace } = require('../storage');
+
+describe('DiskSpace.check', () => {
+  const reservations = [
+    { jobId: '1', device: '7', bytes: 1000, written: 0 },
+    { jobId: '2', device: '7', bytes: 1000, written: 600 },
+    { jobId: '3', device: '7', bytes: 1000, written: 1400 },
+    { jobId: '4', device: '9', bytes: 5000, written: 0 }
+  ];
+
+  beforeEach(() => {
+    videoQueue.client = {
+      status: 'ready',
+      hvals: jest.fn(async () => reservations.map(entry => JSON.stringify(entry)))
+    };
+    jest.spyOn(DiskSpace, 'usage').mockReturnValue({ device: '7', freeBytes: 3000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds back only what reservations on the same device have yet to write', async () => {
+    // 3000 free - 100 minimum - (1000 + 400 + 0) still to be written
+    await expect(DiskSpace.check('/outputs', 1500)).resolves.toBe(1500);
+  });
+
+  test('refuses what no longer fits', async () => {
+    await expect(DiskSpace.check('/outputs', 1501))
+      .rejects.toMatchObject({ status: 507, code: 'INSUFFICIENT_STORAGE', requiredBytes: 1501, availableBytes: 1500 });
+  });
+
+  test('treats reservations from before written bytes were recorded as unwritten', async () => {
+    videoQueue.client.hvals.mockResolvedValue([JSON.stringify({ jobId: '5', device: '7', bytes: 2000 })]);
+    await expect(DiskSpace.check('/outputs', 900)).resolves.toBe(900);
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../metrics', () => ({ Metrics: { ffmpegExits: { inc: jest.fn() } } }));
+
+const { OutputProfiles, VideoProcessor, ChapterMetadata, ClipRanges } = require('../video');
+
+// What ffprobe reports for a HERO chapter: video, audio, tmcd timecode, GPMF telemetry,
+// the fdsc firmware track and a cover image
+const heroProbe = {
+  format: {
+    duration: '531.531',
+    tags: {
+      creation_time: '2024-06-01T10:00:00.000000Z',
+      firmware: 'H22.01.02.10.00',
+      major_brand: 'mp41',
+      encoder: 'GoPro H.265 encoder'
+    }
+  },
+  streams: [
+    { index: 0, codec_type: 'video', codec_name: 'hevc', codec_tag_string: 'hvc1', tags: { timecode: '10:00:00:00' } },
+    { index: 1, codec_type: 'audio', codec_name: 'aac', codec_tag_string: 'mp4a' },
+    { index: 2, codec_type: 'data', codec_tag_string: 'tmcd', tags: { handler_name: '\tGoPro TCD  ' } },
+    { index: 3, codec_type: 'data', codec_tag_string: 'gpmd', tags: { handler_name: '\tGoPro MET  ' } },
+    { index: 4, codec_type: 'data', codec_tag_string: 'fdsc', tags: { handler_name: '\tGoPro SOS  ' } },
+    { index: 5, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }
+  ]
+};
+
+describe('VideoProcessor.buildStreamArgs', () => {
+  test('maps video, audio and the gpmd telemetry track', () => {
+    expect(VideoProcessor.buildStreamArgs(heroProbe)).toEqual([
+      '-map', '0:0',
+      '-map', '0:1',
+      '-map', '0:3', '-tag:d:0', 'gpmd', '-metadata:s:d:0', 'handler_name=GoPro MET'
+    ]);
+  });
+
+  test('leaves out the tmcd track, other data tracks and cover art', () => {
+    const maps = VideoProcessor.buildStreamArgs(heroProbe).filter((arg, i, args) => args[i - 1] === '-map');
+    expect(maps).not.toEqual(expect.arrayContaining(['0:2']));
+    expect(maps).not.toEqual(expect.arrayContaining(['0:4']));
+    expect(maps).not.toEqual(expect.arrayContaining(['0:5']));
+  });
+
+  test('numbers the output data streams from zero', () => {
+    const probe = {
+      streams: [
+        { index: 0, codec_type: 'video' },
+        { index: 1, codec_type: 'data', codec_tag_string: 'gpmd' },
+        { index: 2, codec_type: 'video' },
+        { index: 3, codec_type: 'data', codec_tag_string: 'gpmd', tags: { handler_name: 'GoPro MET' } }
+      ]
+    };
+    expect(VideoProcessor.buildStreamArgs(probe)).toEqual([
+      '-map', '0:0',
+      '-map', '0:1', '-tag:d:0', 'gpmd', '-metadata:s:d:0', 'handler_name=GoPro MET',
+      '-map', '0:2',
+      '-map', '0:3', '-tag:d:1', 'gpmd', '-metadata:s:d:1', 'handler_name=GoPro MET'
+    ]);
+  });
+
+  test('falls back to ffmpeg default mapping without a probe', () => {
+    expect(VideoProcessor.buildStreamArgs(null)).toEqual([]);
+  });
+});
+
+describe('VideoProcessor.buildMetadataArgs', () => {
+  test('rebuilds the timecode track and copies container metadata', () => {
+    const args = VideoProcessor.buildMetadataArgs(heroProbe);
+    expect(args.slice(0, 6)).toEqual(['-map_metadata', '0', '-write_tmcd', '1', '-movflags', 'use_metadata_tags']);
+  });
+
+  test('pins the preserved format tags from the first chapter', () => {
+    const args = VideoProcessor.buildMetadataArgs(heroProbe);
+    expect(args).toEqual(expect.arrayContaining([
+      '-metadata', 'creation_time=2024-06-01T10:00:00.000000Z',
+      '-metadata', 'firmware=H22.01.02.10.00'
+    ]));
+    expect(args.join(' ')).not.toMatch(/major_brand|encoder=/);
+  });
+
+  test('still writes timecode without a probe', () => {
+    expect(VideoProcessor.buildMetadataArgs(null)).toEqual(['-map_metadata', '0', '-write_tmcd', '1', '-movflags', 'use_metadata_tags']);
+  });
+});
+
+describe('VideoProcessor.buildConcatList', () => {
+  test('gives every chapter its probed duration so GPMF stays aligned', () => {
+    const probes = [heroProbe, { format: { duration: '12.5' } }];
+    expect(VideoProcessor.buildConcatList(['/u/GX010042.MP4', '/u/GX020042.MP4'], probes)).toBe(
+      "file '/u/GX010042.MP4'\nduration 531.531\nfile '/u/GX020042.MP4'\nduration 12.5"
+    );
+  });
+
+  test('escapes quotes and omits durations it does not know', () => {
+    expect(VideoProcessor.buildConcatList(["/u/Dad's ride/GX010042.MP4"], null)).toBe(
+      "file '/u/Dad'\\''s ride/GX010042.MP4'"
+    );
+  });
+});
+
+describe('OutputProfiles.codecArgs', () => {
+  test('stream copy keeps every mapped stream, GPMF included, as is', () => {
+    const args = OutputProfiles.codecArgs('copy');
+    expect(args.slice(0, 2)).toEqual(['-c', 'copy']);
+    expect(args).not.toContain('-c:v');
+  });
+
+  test('re-encode profiles override only the streams they encode', () => {
+    const args = OutputProfiles.codecArgs('hevc-archive');
+    expect(args.slice(0, 4)).toEqual(['-c', 'copy', '-c:v', 'libx265']);
+    expect(args).not.toContain('-c:a');
+  });
+});
+
+describe('ClipRanges.resolve', () => {
+  const group = { id: 'group_GX0042', scheme: 'chaptered' };
+  // Two chapters of 100s and 50s merge into a 150s timeline
+  const chapters = [
+    { id: 'GX010042', probe: { duration: 100 }, hilights: [12.5, 98] },
+    { id: 'GX020042', probe: { duration: 50 }, hilights: [47] }
+  ];
+
+  test('leaves the job a full merge without clips', () => {
+    expect(ClipRanges.resolve({}, group, chapters)).toEqual({ clips: null, precise: false });
+  });
+
+  test('accepts ranges that cross chapter boundaries or overlap', () => {
+    const clips = [{ start: 90, end: 110 }, { start: 105, end: 150 }];
+    expect(ClipRanges.resolve({ clips, precise: true }, group, chapters)).toEqual({ clips, precise: true });
+  });
+
+  test('accepts 10s clips around every HiLight, clamped to the timeline like the UI does', () => {
+    const hilights = ChapterMetadata.hilightsOnTimeline(chapters);
+    expect(hilights).toEqual([
+      { time: 12.5, chapter: 'GX010042' },
+      { time: 98, chapter: 'GX010042' },
+      { time: 147, chapter: 'GX020042' }
+    ]);
+    const clips = hilights.map(({ time }) => ({ start: Math.max(time - 5, 0), end: Math.min(time + 5, 150) }));
+    expect(ClipRanges.resolve({ clips }, group, chapters).clips).toEqual([
+      { start: 7.5, end: 17.5 },
+      { start: 93, end: 103 },
+      { start: 142, end: 150 }
+    ]);
+  });
+
+  test('rejects a clip around the last HiLight that runs past the timeline', () => {
+    const [, , last] = ChapterMetadata.hilightsOnTimeline(chapters);
+    expect(() => ClipRanges.resolve({ clips: [{ start: last.time - 5, end: last.time + 5 }] }, group, chapters))
+      .toThrow(/ends after the merged duration \(150\.000s\)/);
+  });
+
+  test('checks against the selected chapters only', () => {
+    expect(() => ClipRanges.resolve({ clips: [{ start: 90, end: 110 }] }, group, chapters.slice(0, 1)))
+      .toThrow(/Clip 1 of group group_GX0042 ends after the merged duration \(100\.000s\)/);
+  });
+
+  test('only checks the shape of ranges when a chapter has no probed duration', () => {
+    const unprobed = [chapters[0], { id: 'GX020042' }];
+    expect(ClipRanges.resolve({ clips: [{ start: 0, end: 500 }] }, group, unprobed).clips).toEqual([{ start: 0, end: 500 }]);
+  });
+
+  test.each([
+    ['start equal to end', { start: 20, end: 20 }],
+    ['start after end', { start: 30, end: 20 }],
+    ['a negative start', { start: -1, end: 20 }],
+    ['a string bound', { start: '0', end: 20 }],
+    ['an infinite end', { start: 0, end: Infinity }],
+    ['a missing range', null]
+  ])('rejects %s', (_, clip) => {
+    expect(() => ClipRanges.resolve({ clips: [{ start: 0, end: 10 }, clip] }, group, chapters))
+      .toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(/^Clip 2 of group group_GX0042 needs numeric start < end/) }));
+  });
+
+  test.each([
+    ['no clips', []],
+    ['too many clips', Array.from({ length: ClipRanges.MAX_CLIPS + 1 }, () => ({ start: 0, end: 1 }))],
+    ['clips that are not a list', { start: 0, end: 1 }]
+  ])('rejects %s', (_, clips) => {
+    expect(() => ClipRanges.resolve({ clips }, group, chapters)).toThrow(/needs between 1 and 20 clips/);
+  });
+
+  test('rejects precise cuts of spherical footage and non-boolean precise flags', () => {
+    const clips = [{ start: 0, end: 10 }];
+    expect(() => ClipRanges.resolve({ clips, precise: true }, { ...group, scheme: 'spherical' }, chapters)).toThrow(/only be cut on keyframes/);
+    expect(() => ClipRanges.resolve({ clips, precise: 'yes' }, group, chapters)).toThrow(/precise must be true or false/);
+  });
+});
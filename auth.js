@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { AUTH_MODE, AUTH_PROXY_HEADER, AUTH_ADMIN_USERS, AUTH_SESSION_HOURS } = require('./config');
+const { videoQueue } = require('./queue');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Local accounts, login sessions and API tokens, kept in Redis so every API pod sees them.
+// Tokens are stored as SHA-256 digests; the plaintext is only ever returned to the client once.
+class Accounts {
+  static USERS_KEY = 'video-processing:users';
+  static API_TOKENS_KEY = 'video-processing:api-tokens';
+  static SESSION_PREFIX = 'video-processing:auth-session:';
+  static USERNAME_PATTERN = /^[A-Za-z0-9._@-]{1,64}$/;
+  static MIN_PASSWORD_LENGTH = 10;
+
+  static requireStore() {
+    if (videoQueue.client.status !== 'ready') {
+      throw httpError(503, 'Authentication store unavailable');
+    }
+  }
+
+  static digest(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  static async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  static async verifyPassword(password, stored) {
+    const [scheme, salt, expected] = stored.split('$');
+    if (scheme !== 'scrypt') {
+      return false;
+    }
+    const hash = await scrypt(password, Buffer.from(salt, 'hex'), 64);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+  }
+
+  static async setPassword(username, password) {
+    if (typeof username !== 'string' || !this.USERNAME_PATTERN.test(username)) {
+      throw httpError(400, 'Username must be 1-64 letters, digits or . _ @ -');
+    }
+    if (typeof password !== 'string' || password.length < this.MIN_PASSWORD_LENGTH) {
+      throw httpError(400, `Password must be at least ${this.MIN_PASSWORD_LENGTH} characters`);
+    }
+    this.requireStore();
+
+    const existing = await videoQueue.client.hget(this.USERS_KEY, username);
+    const now = new Date().toISOString();
+    const record = {
+      username,
+      passwordHash: await this.hashPassword(password),
+      createdAt: existing ? JSON.parse(existing).createdAt : now,
+      updatedAt: now
+    };
+    await videoQueue.client.hset(this.USERS_KEY, username, JSON.stringify(record));
+    logger.info(existing ? 'Account password reset' : 'Account created', { username });
+    return { username, created: !existing, createdAt: record.createdAt };
+  }
+
+  static async deleteUser(username) {
+    this.requireStore();
+    const removed = await videoQueue.client.hdel(this.USERS_KEY, username);
+    if (!removed) {
+      throw httpError(404, 'User not found');
+    }
+
+    const tokens = await videoQueue.client.hgetall(this.API_TOKENS_KEY);
+    const owned = Object.entries(tokens)
+      .filter(([, entry]) => JSON.parse(entry).username === username)
+      .map(([digest]) => digest);
+    if (owned.length > 0) {
+      await videoQueue.client.hdel(this.API_TOKENS_KEY, ...owned);
+    }
+    logger.info('Account deleted', { username, revokedTokens: owned.length });
+  }
+
+  static async login(username, password) {
+    this.requireStore();
+    const record = typeof username === 'string' ? await videoQueue.client.hget(this.USERS_KEY, username) : null;
+    let valid = false;
+    if (record) {
+      valid = await this.verifyPassword(String(password), JSON.parse(record).passwordHash);
+    } else {
+      // Hash anyway so the response time doesn't tell which usernames exist
+      await this.hashPassword(String(password));
+    }
+    if (!valid) {
+      throw httpError(401, 'Invalid username or password');
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const maxAgeSeconds = Math.round(AUTH_SESSION_HOURS * 60 * 60);
+    await videoQueue.client.set(this.SESSION_PREFIX + this.digest(token), username, 'EX', maxAgeSeconds);
+    logger.info('User logged in', { username });
+    return { token, maxAgeSeconds, expiresAt: new Date(Date.now() + maxAgeSeconds * 1000).toISOString() };
+  }
+
+  static async logout(token) {
+    this.requireStore();
+    await videoQueue.client.del(this.SESSION_PREFIX + this.digest(token));
+  }
+
+  static async createApiToken(username, name) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw httpError(400, 'Token name must be a string of 1-100 characters');
+    }
+    this.requireStore();
+
+    const token = `gpt_${crypto.randomBytes(32).toString('base64url')}`;
+    const entry = { id: crypto.randomUUID(), username, name: name.trim(), createdAt: new Date().toISOString() };
+    await videoQueue.client.hset(this.API_TOKENS_KEY, this.digest(token), JSON.stringify(entry));
+    logger.info('API token created', { username, tokenId: entry.id, name: entry.name });
+    return { ...entry, token };
+  }
+
+  static async listApiTokens(username) {
+    this.requireStore();
+    const tokens = await videoQueue.client.hvals(this.API_TOKENS_KEY);
+    return tokens
+      .map(entry => JSON.parse(entry))
+      .filter(entry => entry.username === username)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  static async revokeApiToken(username, id) {
+    this.requireStore();
+    const tokens = await videoQueue.client.hgetall(this.API_TOKENS_KEY);
+    const match = Object.entries(tokens).find(([, entry]) => {
+      const parsed = JSON.parse(entry);
+      return parsed.id === id && parsed.username === username;
+    });
+    if (!match) {
+      throw httpError(404, 'Token not found');
+    }
+    await videoQueue.client.hdel(this.API_TOKENS_KEY, match[0]);
+    logger.info('API token revoked', { username, tokenId: id });
+  }
+
+  static async resolveToken(token) {
+    const digest = this.digest(token);
+    const username = await videoQueue.client.get(this.SESSION_PREFIX + digest);
+    // A deleted account's login sessions stop working straight away
+    if (username && await videoQueue.client.hexists(this.USERS_KEY, username)) {
+      return { username, via: 'session' };
+    }
+
+    const apiToken = await videoQueue.client.hget(this.API_TOKENS_KEY, digest);
+    return apiToken ? { username: JSON.parse(apiToken).username, via: 'api-token' } : null;
+  }
+}
+
+// Works out who is calling from request or socket handshake headers, according to AUTH_MODE.
+// In proxy mode the service must only be reachable through the proxy that sets the header.
+class Authentication {
+  static COOKIE = 'gopro_session';
+
+  static principal(username, via) {
+    return { username, admin: AUTH_MODE === 'none' || AUTH_ADMIN_USERS.includes(username), via };
+  }
+
+  static parseCookies(header = '') {
+    return header.split(';').reduce((cookies, part) => {
+      const separator = part.indexOf('=');
+      if (separator !== -1) {
+        cookies[part.substring(0, separator).trim()] = decodeURIComponent(part.substring(separator + 1).trim());
+      }
+      return cookies;
+    }, {});
+  }
+
+  // Bearer tokens for scripts, the login cookie for the web app (links and <img> included)
+  static tokenFrom(headers, auth = {}) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+      return authorization.substring(7).trim();
+    }
+    if (typeof auth.token === 'string') {
+      return auth.token;
+    }
+    return this.parseCookies(headers.cookie)[this.COOKIE] || null;
+  }
+
+  static async identify(headers, auth) {
+    if (AUTH_MODE === 'none') {
+      return this.principal('anonymous', 'none');
+    }
+    if (AUTH_MODE === 'proxy') {
+      const username = headers[AUTH_PROXY_HEADER];
+      return typeof username === 'string' && Accounts.USERNAME_PATTERN.test(username)
+        ? this.principal(username, 'proxy')
+        : null;
+    }
+
+    const token = this.tokenFrom(headers, auth);
+    if (!token) {
+      return null;
+    }
+    Accounts.requireStore();
+    const resolved = await Accounts.resolveToken(token);
+    return resolved ? this.principal(resolved.username, resolved.via) : null;
+  }
+
+  static cookie(token, maxAgeSeconds, secure) {
+    return [
+      `${this.COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Strict',
+      `Max-Age=${maxAgeSeconds}`,
+      ...(secure ? ['Secure'] : [])
+    ].join('; ');
+  }
+
+  static startupCheck() {
+    if (!['local', 'proxy', 'none'].includes(AUTH_MODE)) {
+      throw new Error(`Unknown AUTH_MODE "${AUTH_MODE}" (expected local, proxy or none)`);
+    }
+    if (AUTH_MODE === 'none') {
+      logger.warn('AUTH_MODE=none: every request runs as an anonymous admin');
+    }
+    logger.info('Authentication configured', { mode: AUTH_MODE, proxyHeader: AUTH_MODE === 'proxy' ? AUTH_PROXY_HEADER : undefined, admins: AUTH_ADMIN_USERS });
+  }
+}
+
+// A session belongs to the first user who puts files into it; only they and admins can use it
+// afterwards. Reading a session nobody owns yet is a 404, so a read never takes ownership.
+class SessionOwners {
+  static KEY = 'video-processing:session-owners';
+  // Watch-folder jobs run in this session. Its owner is not a valid username, so only admins see
+  // it, and it can never be claimed or released.
+  static WATCH_SESSION_ID = 'watch';
+  static RESERVED = { [SessionOwners.WATCH_SESSION_ID]: 'system:watch-folders' };
+
+  static isReserved(sessionId) {
+    return Object.prototype.hasOwnProperty.call(this.RESERVED, sessionId);
+  }
+
+  static async owner(sessionId) {
+    if (this.isReserved(sessionId)) {
+      return this.RESERVED[sessionId];
+    }
+    return videoQueue.client.hget(this.KEY, sessionId);
+  }
+
+  // `claim` is for the routes that upload or import into a session
+  static async authorize(sessionId, user, { claim = false } = {}) {
+    if (AUTH_MODE === 'none') {
+      return;
+    }
+    Accounts.requireStore();
+    if (claim && !this.isReserved(sessionId)) {
+      await videoQueue.client.hsetnx(this.KEY, sessionId, user.username);
+    }
+    const owner = await this.owner(sessionId);
+    if (user.admin || owner === user.username) {
+      return;
+    }
+    if (!owner) {
+      throw httpError(404, 'Session not found');
+    }
+    logger.warn('Session access denied', { sessionId, username: user.username });
+    throw httpError(403, 'Session belongs to another user');
+  }
+
+  static async release(sessionId) {
+    if (AUTH_MODE === 'none' || this.isReserved(sessionId) || videoQueue.client.status !== 'ready') {
+      return;
+    }
+    await videoQueue.client.hdel(this.KEY, sessionId);
+  }
+}
+
+module.exports = { Accounts, Authentication, SessionOwners };
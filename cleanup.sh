@@ -32,6 +32,7 @@ kubectl delete -f k8s/network-policy.yaml --ignore-not-found=true
 kubectl delete -f k8s/hpa.yaml --ignore-not-found=true
 kubectl delete -f k8s/ingress.yaml --ignore-not-found=true
 kubectl delete -f k8s/service.yaml --ignore-not-found=true
+kubectl delete -f k8s/worker-deployment.yaml --ignore-not-found=true
 kubectl delete -f k8s/deployment.yaml --ignore-not-found=true
 kubectl delete -f k8s/redis.yaml --ignore-not-found=true
 kubectl delete -f k8s/rbac.yaml --ignore-not-found=true
@@ -0,0 +1,167 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Configuration
+const PORT = process.env.PORT || 3000;
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const UPLOAD_DIR = process.env.UPLOAD_DIR || '/tmp/uploads';
+const OUTPUT_DIR = process.env.OUTPUT_DIR || '/tmp/outputs';
+const MAX_FILE_SIZE = process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 * 1024;
+const FILE_RETENTION_HOURS = parseFloat(process.env.FILE_RETENTION_HOURS) || 24;
+const RETENTION_SWEEP_INTERVAL_MINUTES = parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES) || 60;
+const RETENTION_DRY_RUN = process.env.RETENTION_DRY_RUN === 'true';
+const APP_SECRET = process.env.APP_SECRET;
+// `local` accounts and API tokens, `proxy` to trust a user header set by an OIDC/auth proxy,
+// or `none` to run everything as a single anonymous admin
+const AUTH_MODE = (process.env.AUTH_MODE || 'local').toLowerCase();
+const AUTH_PROXY_HEADER = (process.env.AUTH_PROXY_HEADER || 'x-forwarded-user').toLowerCase();
+const AUTH_ADMIN_USERS = (process.env.AUTH_ADMIN_USERS || '')
+  .split(',')
+  .map(user => user.trim())
+  .filter(Boolean);
+const AUTH_SESSION_HOURS = parseFloat(process.env.AUTH_SESSION_HOURS) || 7 * 24;
+// Key for signing shareable download links; without it (or APP_SECRET) links can't be created
+const DOWNLOAD_LINK_SECRET = process.env.DOWNLOAD_LINK_SECRET || APP_SECRET;
+const DOWNLOAD_LINK_HOURS = parseFloat(process.env.DOWNLOAD_LINK_HOURS) || 24;
+const DOWNLOAD_LINK_MAX_HOURS = parseFloat(process.env.DOWNLOAD_LINK_MAX_HOURS) || 7 * 24;
+const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE, 10) || 16 * 1024 * 1024;
+// Free space uploads and jobs are never admitted into, per volume
+const MIN_FREE_DISK_BYTES = parseInt(process.env.MIN_FREE_DISK_BYTES, 10) || 1024 * 1024 * 1024;
+const TELEMETRY_FORMATS = (process.env.TELEMETRY_FORMATS ?? 'gpx,csv,geojson')
+  .split(',')
+  .map(format => format.trim().toLowerCase())
+  .filter(Boolean);
+const FFMPEG_THREADS = parseInt(process.env.FFMPEG_THREADS, 10) || 4;
+// Jobs each worker process runs at once; every job spawns its own ffmpeg with FFMPEG_THREADS
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
+// Serve the API and socket.io only, leaving the queue to separate `npm run worker` processes
+const API_ONLY = process.env.API_ONLY === 'true';
+// Failed jobs (including ones left stalled by a dead worker) retry with exponential backoff
+const JOB_ATTEMPTS = parseInt(process.env.JOB_ATTEMPTS, 10) || 3;
+const JOB_BACKOFF_SECONDS = parseFloat(process.env.JOB_BACKOFF_SECONDS) || 30;
+// Completed and failed jobs stay in Redis as long as their files, up to a cap per state
+const FINISHED_JOB_RETENTION_HOURS = parseFloat(process.env.FINISHED_JOB_RETENTION_HOURS) || FILE_RETENTION_HOURS;
+const FINISHED_JOB_LIMIT = parseInt(process.env.FINISHED_JOB_LIMIT, 10) || 1000;
+// How long SIGTERM waits for uploads and running jobs; keep it below terminationGracePeriodSeconds
+const SHUTDOWN_TIMEOUT_SECONDS = parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 25;
+// Part of that timeout spent failing readiness while still serving, so load balancers stop
+// routing here before the listener closes; 0 closes it right away
+const SHUTDOWN_DRAIN_SECONDS = Math.max(parseFloat(process.env.SHUTDOWN_DRAIN_SECONDS ?? '5') || 0, 0);
+// `name=/path` pairs, or bare paths named after their last segment
+const IMPORT_ROOTS = (process.env.IMPORT_ROOTS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf('=');
+    return separator === -1
+      ? { name: path.basename(entry), path: path.resolve(entry) }
+      : { name: entry.substring(0, separator).trim(), path: path.resolve(entry.substring(separator + 1).trim()) };
+  });
+const WATCH_DIRS = (process.env.WATCH_DIRS || '')
+  .split(',')
+  .map(dir => dir.trim())
+  .filter(Boolean)
+  .map(dir => path.resolve(dir));
+const WATCH_OUTPUT_DIR = process.env.WATCH_OUTPUT_DIR ? path.resolve(process.env.WATCH_OUTPUT_DIR) : null;
+const WATCH_STABLE_SECONDS = parseFloat(process.env.WATCH_STABLE_SECONDS) || 60;
+const WATCH_POLL_SECONDS = parseFloat(process.env.WATCH_POLL_SECONDS) || 15;
+const WATCH_FILENAME_TEMPLATE = process.env.WATCH_FILENAME_TEMPLATE || 'GoPro_{prefix}{sequence}_{date}';
+const OUTPUT_FILENAME_TEMPLATE = process.env.OUTPUT_FILENAME_TEMPLATE || 'GoPro_Merged_{groupId}_{timestamp}';
+const OUTPUT_SIDECAR = process.env.OUTPUT_SIDECAR === 'true';
+// /metrics on PORT; worker processes have no HTTP server, so they serve it on METRICS_PORT
+const PROMETHEUS_ENABLED = process.env.PROMETHEUS_ENABLED !== 'false';
+const METRICS_PORT = parseInt(process.env.METRICS_PORT, 10) || 9090;
+
+logger.info('Application starting with configuration', {
+  PORT,
+  REDIS_URL,
+  UPLOAD_DIR,
+  OUTPUT_DIR,
+  MAX_FILE_SIZE,
+  FILE_RETENTION_HOURS,
+  RETENTION_SWEEP_INTERVAL_MINUTES,
+  RETENTION_DRY_RUN,
+  AUTH_MODE,
+  AUTH_PROXY_HEADER,
+  AUTH_ADMIN_USERS,
+  AUTH_SESSION_HOURS,
+  DOWNLOAD_LINK_HOURS,
+  DOWNLOAD_LINK_MAX_HOURS,
+  UPLOAD_CHUNK_SIZE,
+  MIN_FREE_DISK_BYTES,
+  TELEMETRY_FORMATS,
+  FFMPEG_THREADS,
+  MAX_CONCURRENT_JOBS,
+  API_ONLY,
+  JOB_ATTEMPTS,
+  JOB_BACKOFF_SECONDS,
+  FINISHED_JOB_RETENTION_HOURS,
+  FINISHED_JOB_LIMIT,
+  SHUTDOWN_TIMEOUT_SECONDS,
+  SHUTDOWN_DRAIN_SECONDS,
+  IMPORT_ROOTS,
+  WATCH_DIRS,
+  WATCH_OUTPUT_DIR,
+  WATCH_STABLE_SECONDS,
+  WATCH_POLL_SECONDS,
+  WATCH_FILENAME_TEMPLATE,
+  OUTPUT_FILENAME_TEMPLATE,
+  OUTPUT_SIDECAR,
+  PROMETHEUS_ENABLED,
+  METRICS_PORT,
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info'
+});
+
+// Ensure directories exist
+[UPLOAD_DIR, OUTPUT_DIR].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    logger.debug(`Creating directory: ${dir}`);
+    fs.mkdirSync(dir, { recursive: true });
+    logger.info(`Directory created: ${dir}`);
+  } else {
+    logger.debug(`Directory already exists: ${dir}`);
+  }
+});
+
+module.exports = {
+  PORT,
+  REDIS_URL,
+  UPLOAD_DIR,
+  OUTPUT_DIR,
+  MAX_FILE_SIZE,
+  FILE_RETENTION_HOURS,
+  RETENTION_SWEEP_INTERVAL_MINUTES,
+  RETENTION_DRY_RUN,
+  APP_SECRET,
+  AUTH_MODE,
+  AUTH_PROXY_HEADER,
+  AUTH_ADMIN_USERS,
+  AUTH_SESSION_HOURS,
+  DOWNLOAD_LINK_SECRET,
+  DOWNLOAD_LINK_HOURS,
+  DOWNLOAD_LINK_MAX_HOURS,
+  UPLOAD_CHUNK_SIZE,
+  MIN_FREE_DISK_BYTES,
+  TELEMETRY_FORMATS,
+  FFMPEG_THREADS,
+  MAX_CONCURRENT_JOBS,
+  API_ONLY,
+  JOB_ATTEMPTS,
+  JOB_BACKOFF_SECONDS,
+  FINISHED_JOB_RETENTION_HOURS,
+  FINISHED_JOB_LIMIT,
+  SHUTDOWN_TIMEOUT_SECONDS,
+  SHUTDOWN_DRAIN_SECONDS,
+  IMPORT_ROOTS,
+  WATCH_DIRS,
+  WATCH_OUTPUT_DIR,
+  WATCH_STABLE_SECONDS,
+  WATCH_POLL_SECONDS,
+  WATCH_FILENAME_TEMPLATE,
+  OUTPUT_FILENAME_TEMPLATE,
+  OUTPUT_SIDECAR,
+  PROMETHEUS_ENABLED,
+  METRICS_PORT
+};
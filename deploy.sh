@@ -69,6 +69,7 @@ kubectl wait --for=condition=available --timeout=300s deployment/redis -n "$NAME
 
 # Apply main application
 kubectl apply -f k8s/deployment.yaml
+kubectl apply -f k8s/worker-deployment.yaml
 kubectl apply -f k8s/service.yaml
 kubectl apply -f k8s/ingress.yaml
 kubectl apply -f k8s/hpa.yaml
@@ -81,6 +82,7 @@ echo -e "${GREEN}✅ All manifests applied${NC}"
 # Wait for deployment to be ready
 echo -e "${YELLOW}⏳ Waiting for deployment to be ready...${NC}"
 kubectl wait --for=condition=available --timeout=600s deployment/gopro-processor -n "$NAMESPACE"
+kubectl wait --for=condition=available --timeout=600s deployment/gopro-worker -n "$NAMESPACE"
 
 # Check pod status
 echo -e "${YELLOW}📊 Checking pod status...${NC}"
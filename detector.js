@@ -0,0 +1,168 @@
+const path = require('path');
+const logger = require('./logger');
+
+const ALLOWED_UPLOAD_EXTENSIONS = ['.mp4', '.360', '.lrv', '.thm'];
+
+const isAllowedUploadType = (filename) => {
+  return ALLOWED_UPLOAD_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+};
+
+// GoPro file parser
+const EXTENSION_ROLES = {
+  MP4: 'video',
+  360: 'video',
+  LRV: 'proxy',
+  THM: 'thumbnail'
+};
+
+// Looping chapters are lettered AA, AB, ... AZ, BA, ...
+const letterChapter = (letters) => {
+  const [first, second] = letters.toUpperCase();
+  return (first.charCodeAt(0) - 65) * 26 + (second.charCodeAt(0) - 65) + 1;
+};
+
+class GoProFileDetector {
+  // One entry per GoPro naming convention. `prefix` keeps recordings from different
+  // schemes apart when their sequence numbers collide.
+  static NAMING_SCHEMES = [
+    {
+      // HERO6 and later: GH = H.264, GX = HEVC, e.g. GX010042.MP4
+      scheme: 'chaptered',
+      firstChapter: 1,
+      pattern: /^G([HX])(\d{2})(\d{4})\.(MP4|LRV|THM)$/i,
+      parse: (m) => ({ prefix: `G${m[1]}`, encoding: m[1], chapter: parseInt(m[2], 10), sequence: parseInt(m[3], 10), extension: m[4] })
+    },
+    {
+      // HERO6 and later low-res proxies, e.g. GL010042.LRV, shared by GH and GX recordings
+      scheme: 'chaptered',
+      firstChapter: 1,
+      pattern: /^GL(\d{2})(\d{4})\.(LRV)$/i,
+      parse: (m) => ({ prefix: 'GL', videoPrefixes: ['GH', 'GX'], encoding: null, chapter: parseInt(m[1], 10), sequence: parseInt(m[2], 10), extension: m[3] })
+    },
+    {
+      // HERO6 and later looping video, lettered chapters, e.g. GHAB0042.MP4
+      scheme: 'looping',
+      firstChapter: 1,
+      pattern: /^G([HX])([A-Z]{2})(\d{4})\.(MP4|LRV|THM)$/i,
+      parse: (m) => ({ prefix: `G${m[1]}L`, encoding: m[1], chapter: letterChapter(m[2]), sequence: parseInt(m[3], 10), extension: m[4] })
+    },
+    {
+      // GoPro MAX spherical video, e.g. GS010042.360
+      scheme: 'spherical',
+      firstChapter: 1,
+      pattern: /^GS(\d{2})(\d{4})\.(360|LRV|THM)$/i,
+      parse: (m) => ({ prefix: 'GS', encoding: 'X', chapter: parseInt(m[1], 10), sequence: parseInt(m[2], 10), extension: m[3] })
+    },
+    {
+      // HERO5 and earlier, first chapter, e.g. GOPR0042.MP4
+      scheme: 'legacy',
+      firstChapter: 0,
+      pattern: /^GOPR(\d{4})\.(MP4|LRV|THM)$/i,
+      parse: (m) => ({ prefix: 'GOPR', encoding: 'H', chapter: 0, sequence: parseInt(m[1], 10), extension: m[2] })
+    },
+    {
+      // HERO5 and earlier, later chapters, e.g. GP010042.MP4 follows GOPR0042.MP4
+      scheme: 'legacy',
+      firstChapter: 0,
+      pattern: /^GP(\d{2})(\d{4})\.(MP4|LRV|THM)$/i,
+      parse: (m) => ({ prefix: 'GOPR', encoding: 'H', chapter: parseInt(m[1], 10), sequence: parseInt(m[2], 10), extension: m[3] })
+    }
+  ];
+
+  static parseGoProFilename(filename) {
+    for (const { scheme, firstChapter, pattern, parse } of this.NAMING_SCHEMES) {
+      const match = filename.match(pattern);
+      if (!match) continue;
+
+      const fields = parse(match);
+      const extension = fields.extension.toUpperCase();
+      const parsed = {
+        ...fields,
+        prefix: fields.prefix.toUpperCase(),
+        encoding: fields.encoding ? fields.encoding.toUpperCase() : null,
+        extension,
+        scheme,
+        firstChapter,
+        role: EXTENSION_ROLES[extension],
+        isGoPro: true
+      };
+      logger.debug('Parsed GoPro filename', { filename, parsed });
+      return parsed;
+    }
+    logger.debug('File is not a GoPro file', { filename });
+    return { isGoPro: false };
+  }
+  
+  static groupFiles(files) {
+    logger.debug('Grouping files', { fileCount: files.length });
+    const groups = new Map();
+    const companions = [];
+    
+    files.forEach(file => {
+      const parsed = this.parseGoProFilename(file.originalname);
+      
+      if (parsed.isGoPro && parsed.role !== 'video') {
+        companions.push({ file, parsed });
+      } else if (parsed.isGoPro) {
+        const key = `${parsed.prefix}_${parsed.sequence}`;
+        
+        if (!groups.has(key)) {
+          logger.debug('Creating new group', { key, sequence: parsed.sequence, encoding: parsed.encoding, scheme: parsed.scheme });
+          groups.set(key, {
+            prefix: parsed.prefix,
+            scheme: parsed.scheme,
+            firstChapter: parsed.firstChapter,
+            sequence: parsed.sequence,
+            encoding: parsed.encoding,
+            extension: parsed.extension,
+            chapters: []
+          });
+        }
+        
+        groups.get(key).chapters.push({
+          chapter: parsed.chapter,
+          filename: file.filename,
+          originalname: file.originalname,
+          path: file.path,
+          size: file.size
+        });
+        logger.debug('Added file to group', { key, chapter: parsed.chapter, filename: file.originalname });
+      }
+    });
+    
+    // LRV proxies and THM thumbnails ride along with the video chapter they were recorded with
+    companions.forEach(({ file, parsed }) => {
+      const chapter = (parsed.videoPrefixes || [parsed.prefix])
+        .map(prefix => groups.get(`${prefix}_${parsed.sequence}`))
+        .filter(Boolean)
+        .flatMap(group => group.chapters)
+        .find(ch => ch.chapter === parsed.chapter);
+      
+      if (!chapter) {
+        logger.debug('No video chapter for companion file', { filename: file.originalname, role: parsed.role });
+        return;
+      }
+      
+      chapter[parsed.role] = {
+        filename: file.filename,
+        path: file.path,
+        size: file.size
+      };
+      logger.debug('Attached companion file', { filename: file.originalname, role: parsed.role, chapter: chapter.filename });
+    });
+    
+    groups.forEach(group => {
+      group.chapters.sort((a, b) => a.chapter - b.chapter);
+      logger.debug('Sorted group chapters', { 
+        sequence: group.sequence, 
+        encoding: group.encoding,
+        chapterCount: group.chapters.length 
+      });
+    });
+    
+    logger.info('File grouping complete', { groupCount: groups.size });
+    return Array.from(groups.values());
+  }
+}
+
+module.exports = { isAllowedUploadType, GoProFileDetector };
@@ -0,0 +1,10 @@
+const httpError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+module.exports = { httpError };
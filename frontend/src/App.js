@@ -4,8 +4,28 @@ import './App.css';
 
 const API_BASE = window.location.origin;
 
-const App = () => {
-  const [sessionId] = useState(() => crypto.randomUUID());
+// Bull job states collapsed into the statuses the queue cards know how to render
+const JOB_STATUS = {
+  waiting: 'queued',
+  delayed: 'queued',
+  paused: 'queued',
+  active: 'active',
+  completed: 'completed',
+  failed: 'failed'
+};
+
+// Keep the session id per browser tab so a refresh can reattach to running jobs
+const getSessionId = () => {
+  let id = sessionStorage.getItem('gopro-session-id');
+  if (!id) {
+    id = crypto.randomUUID();
+    sessionStorage.setItem('gopro-session-id', id);
+  }
+  return id;
+};
+
+const App = ({ user, onLogout }) => {
+  const [sessionId] = useState(getSessionId);
   const [socket, setSocket] = useState(null);
   const [files, setFiles] = useState([]);
   const [groups, setGroups] = useState([]);
@@ -13,7 +33,13 @@ const App = () => {
   const [completedFiles, setCompletedFiles] = useState([]);
   const [dragOver, setDragOver] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [fileProgress, setFileProgress] = useState({});
   const [isUploading, setIsUploading] = useState(false);
+  const [mergePreview, setMergePreview] = useState(false);
+  const [sessionLabel, setSessionLabel] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [importRoots, setImportRoots] = useState([]);
+  const [importListing, setImportListing] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
 
   // Initialize WebSocket connection
@@ -29,35 +55,66 @@ const App = () => {
       setConnectionStatus('disconnected');
     });
     
+    socketConnection.on('session-state', (data) => {
+      setJobs(data.jobs.map(job => ({
+        id: job.id,
+        groupId: job.groupId,
+        status: JOB_STATUS[job.state] || job.state,
+        progress: job.progress,
+        error: job.error
+      })));
+      fetchCompletedFiles();
+    });
+    
     socketConnection.on('job-progress', (data) => {
-      if (data.sessionId === sessionId) {
-        setJobs(prev => prev.map(job => 
-          job.groupId === data.groupId 
-            ? { ...job, progress: data.progress, stage: data.stage, time: data.time }
-            : job
-        ));
-      }
+      setJobs(prev => prev.map(job => 
+        job.groupId === data.groupId 
+          ? {
+              ...job,
+              status: 'active',
+              progress: data.progress,
+              stage: data.stage,
+              time: data.time,
+              speed: data.speed,
+              eta: data.eta,
+              bytesWritten: data.bytesWritten
+            }
+          : job
+      ));
+    });
+    
+    socketConnection.on('job-preview', (data) => {
+      setJobs(prev => prev.map(job => 
+        job.groupId === data.groupId 
+          ? { ...job, preview: { filename: data.filename, downloadUrl: data.downloadUrl } }
+          : job
+      ));
+      fetchCompletedFiles();
     });
     
     socketConnection.on('job-complete', (data) => {
-      if (data.sessionId === sessionId) {
-        setJobs(prev => prev.map(job => 
-          job.groupId === data.groupId 
-            ? { ...job, status: 'completed', progress: 100 }
-            : job
-        ));
-        fetchCompletedFiles();
-      }
+      setJobs(prev => prev.map(job => 
+        job.groupId === data.groupId 
+          ? { ...job, status: 'completed', progress: 100 }
+          : job
+      ));
+      fetchCompletedFiles();
     });
     
     socketConnection.on('job-error', (data) => {
-      if (data.sessionId === sessionId) {
-        setJobs(prev => prev.map(job => 
-          job.groupId === data.groupId 
-            ? { ...job, status: 'failed', error: data.error }
-            : job
-        ));
-      }
+      setJobs(prev => prev.map(job => 
+        job.groupId === data.groupId 
+          ? { ...job, status: 'failed', error: data.error }
+          : job
+      ));
+    });
+    
+    socketConnection.on('job-cancelled', (data) => {
+      setJobs(prev => prev.map(job => 
+        job.groupId === data.groupId 
+          ? { ...job, status: 'cancelled' }
+          : job
+      ));
     });
     
     setSocket(socketConnection);
@@ -81,6 +138,70 @@ const App = () => {
     fetchCompletedFiles();
   }, [fetchCompletedFiles]);
 
+  // Restore detected groups after a page refresh
+  useEffect(() => {
+    fetch(`${API_BASE}/api/sessions/${sessionId}/groups`)
+      .then(response => response.json())
+      .then(data => setGroups(data.groups || []))
+      .catch(error => console.error('Error fetching groups:', error));
+  }, [sessionId]);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/profiles`)
+      .then(response => response.json())
+      .then(data => setProfiles(data.profiles || []))
+      .catch(error => console.error('Error fetching output profiles:', error));
+  }, []);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/api/imports`)
+      .then(response => response.json())
+      .then(data => setImportRoots((data.roots || []).filter(root => root.available)))
+      .catch(error => console.error('Error fetching import roots:', error));
+  }, []);
+
+  const browseImport = async (root, folder = '') => {
+    try {
+      const response = await fetch(`${API_BASE}/api/imports/${encodeURIComponent(root)}?path=${encodeURIComponent(folder)}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Browse failed');
+      }
+      setImportListing(data);
+    } catch (error) {
+      console.error('Import browse error:', error);
+      alert(`Browse failed: ${error.message}`);
+    }
+  };
+
+  // The first upload or import creates the session, and the server only lets a socket into a
+  // session that exists, so the join made on connect is repeated once there is one
+  const rejoinSession = () => {
+    if (socket) {
+      socket.emit('join-session', sessionId);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/sessions/${sessionId}/imports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ root: importListing.root, path: importListing.path })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Import failed');
+      }
+      setGroups(data.groups);
+      setImportListing(null);
+      rejoinSession();
+    } catch (error) {
+      console.error('Import error:', error);
+      alert(`Import failed: ${error.message}`);
+    }
+  };
+
   const handleDragOver = (e) => {
     e.preventDefault();
     setDragOver(true);
@@ -104,33 +225,106 @@ const App = () => {
     handleFiles(selectedFiles);
   };
 
+  const sha256Hex = async (buffer) => {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  };
+
+  // Sends one file in checksummed chunks, resuming from whatever offset the server already has
+  const uploadFile = async (file, onBytes) => {
+    const uploadsUrl = `${API_BASE}/api/sessions/${sessionId}/uploads`;
+    const createResponse = await fetch(uploadsUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filename: file.name, size: file.size })
+    });
+    const upload = await createResponse.json();
+    if (!upload.success) {
+      throw new Error(upload.error || `Upload of ${file.name} failed`);
+    }
+
+    let offset = upload.offset;
+    let failures = 0;
+    onBytes(offset);
+
+    while (offset < file.size) {
+      const chunk = await file.slice(offset, offset + upload.chunkSize).arrayBuffer();
+
+      try {
+        const response = await fetch(`${uploadsUrl}/${upload.uploadId}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/offset+octet-stream',
+            'Upload-Offset': String(offset),
+            'X-Chunk-Checksum': await sha256Hex(chunk)
+          },
+          body: chunk
+        });
+        const data = await response.json();
+
+        if (response.status === 409) {
+          const status = await (await fetch(`${uploadsUrl}/${upload.uploadId}`)).json();
+          if (!status.success || typeof status.offset !== 'number') {
+            const error = new Error(status.error || `Upload of ${file.name} is no longer available`);
+            error.fatal = true;
+            throw error;
+          }
+          offset = status.offset;
+          onBytes(offset);
+          // Counted and backed off like any other failure, so two tabs sending the same file can't spin
+          throw new Error(`Upload offset moved to ${offset}`);
+        }
+        if (!data.success) {
+          const error = new Error(data.error || `Upload of ${file.name} failed`);
+          // Checksum mismatches and server errors are worth resending; other 4xx are not
+          error.fatal = response.status < 500 && response.status !== 422;
+          throw error;
+        }
+
+        offset = data.offset;
+        failures = 0;
+        onBytes(offset);
+      } catch (error) {
+        failures += 1;
+        if (error.fatal || failures > 5) {
+          throw error;
+        }
+        console.warn(`Chunk upload failed, retrying (${failures}/5):`, error);
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** failures));
+      }
+    }
+  };
+
   const handleFiles = async (fileList) => {
     setFiles(fileList);
     setIsUploading(true);
     setUploadProgress(0);
+    setFileProgress({});
 
-    try {
-      const formData = new FormData();
-      fileList.forEach(file => {
-        formData.append('files', file);
-      });
+    const totalBytes = fileList.reduce((sum, file) => sum + file.size, 0);
+    const uploaded = {};
 
-      const response = await fetch(`${API_BASE}/api/upload`, {
-        method: 'POST',
-        headers: {
-          'X-Session-Id': sessionId
-        },
-        body: formData
-      });
+    try {
+      for (const file of fileList) {
+        await uploadFile(file, (bytes) => {
+          uploaded[file.name] = bytes;
+          setFileProgress({ ...uploaded });
+          const done = Object.values(uploaded).reduce((sum, value) => sum + value, 0);
+          setUploadProgress(totalBytes > 0 ? Math.floor((done / totalBytes) * 100) : 100);
+        });
+      }
 
+      const response = await fetch(`${API_BASE}/api/sessions/${sessionId}/groups`);
       const data = await response.json();
-      
-      if (data.success) {
-        setGroups(data.groups);
-        setUploadProgress(100);
-      } else {
-        throw new Error(data.error || 'Upload failed');
+
+      if (!data.groups || data.groups.length === 0) {
+        throw new Error('No valid GoPro file groups detected');
       }
+      setGroups(data.groups);
+      setUploadProgress(100);
+      rejoinSession();
     } catch (error) {
       console.error('Upload error:', error);
       alert(`Upload failed: ${error.message}`);
@@ -139,6 +333,70 @@ const App = () => {
     }
   };
 
+  const toggleChapter = (groupId, chapterId) => {
+    setGroups(prev => prev.map(group =>
+      group.id === groupId
+        ? {
+            ...group,
+            chapters: group.chapters.map(chapter =>
+              chapter.id === chapterId ? { ...chapter, excluded: !chapter.excluded } : chapter
+            )
+          }
+        : group
+    ));
+  };
+
+  const setGroupProfile = (groupId, profile) => {
+    setGroups(prev => prev.map(group =>
+      group.id === groupId ? { ...group, profile } : group
+    ));
+  };
+
+  const updateGroup = (groupId, update) => {
+    setGroups(prev => prev.map(group =>
+      group.id === groupId ? { ...group, ...update(group) } : group
+    ));
+  };
+
+  const addClip = (groupId, start, end) => {
+    updateGroup(groupId, group => ({ clips: [...(group.clips || []), { start, end }] }));
+  };
+
+  const updateClip = (groupId, index, field, value) => {
+    updateGroup(groupId, group => ({
+      clips: group.clips.map((clip, clipIndex) =>
+        clipIndex === index ? { ...clip, [field]: parseFloat(value) } : clip
+      )
+    }));
+  };
+
+  const removeClip = (groupId, index) => {
+    updateGroup(groupId, group => ({ clips: group.clips.filter((_, clipIndex) => clipIndex !== index) }));
+  };
+
+  // HiLights follow the chapters as they are currently ordered and included
+  const groupTimeline = (group) => {
+    let duration = 0;
+    const hilights = [];
+    group.chapters.filter(chapter => !chapter.excluded).forEach(chapter => {
+      (chapter.hilights || []).forEach(time => hilights.push(duration + time));
+      duration += (chapter.probe && chapter.probe.duration) || 0;
+    });
+    return { duration, hilights };
+  };
+
+  const moveChapter = (groupId, index, offset) => {
+    setGroups(prev => prev.map(group => {
+      const target = index + offset;
+      if (group.id !== groupId || target < 0 || target >= group.chapters.length) {
+        return group;
+      }
+      const chapters = [...group.chapters];
+      [chapters[index], chapters[target]] = [chapters[target], chapters[index]];
+      return { ...group, chapters };
+    }));
+  };
+
   const handleProcess = async () => {
     try {
       const response = await fetch(`${API_BASE}/api/process`, {
@@ -148,7 +406,16 @@ const App = () => {
         },
         body: JSON.stringify({
           sessionId,
-          groups
+          preview: mergePreview,
+          label: sessionLabel,
+          groups: groups.map(group => ({
+            id: group.id,
+            profile: group.profile,
+            ...(group.clips && group.clips.length > 0 && { clips: group.clips, precise: Boolean(group.precise) }),
+            chapters: group.chapters
+              .filter(chapter => !chapter.excluded)
+              .map(chapter => chapter.id)
+          }))
         })
       });
 
@@ -169,6 +436,88 @@ const App = () => {
     }
   };
 
+  const handleDeleteFile = async (filename) => {
+    try {
+      const response = await fetch(
+        `${API_BASE}/api/files/${sessionId}/${encodeURIComponent(filename)}`,
+        { method: 'DELETE' }
+      );
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Delete failed');
+      }
+      fetchCompletedFiles();
+    } catch (error) {
+      console.error('Delete error:', error);
+      alert(`Delete failed: ${error.message}`);
+    }
+  };
+
+  const handleShareFile = async (filename) => {
+    try {
+      const response = await fetch(
+        `${API_BASE}/api/files/${sessionId}/${encodeURIComponent(filename)}/links`,
+        { method: 'POST' }
+      );
+
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Could not create link');
+      }
+      const url = `${API_BASE}${data.url}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        alert(`Link copied. It works without logging in until ${new Date(data.expiresAt).toLocaleString()}.`);
+      } catch (clipboardError) {
+        window.prompt('Share this link:', url);
+      }
+    } catch (error) {
+      console.error('Share error:', error);
+      alert(`Share failed: ${error.message}`);
+    }
+  };
+
+  const handleCancelJob = async (jobId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/jobs/${jobId}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Cancel failed');
+      }
+      setJobs(prev => prev.map(job =>
+        job.id === jobId
+          ? { ...job, status: data.state === 'cancelled' ? 'cancelled' : job.status, stage: data.state }
+          : job
+      ));
+    } catch (error) {
+      console.error('Cancel error:', error);
+      alert(`Cancel failed: ${error.message}`);
+    }
+  };
+
+  const handleRetryJob = async (jobId) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/jobs/${jobId}/retry`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!data.success) {
+        throw new Error(data.error || 'Retry failed');
+      }
+      setJobs(prev => prev.map(job =>
+        job.id === jobId
+          ? { ...job, status: 'queued', progress: 0, error: null }
+          : job
+      ));
+    } catch (error) {
+      console.error('Retry error:', error);
+      alert(`Retry failed: ${error.message}`);
+    }
+  };
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
     const k = 1024;
@@ -177,6 +526,14 @@ const App = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
 
+  const formatDuration = (seconds) => {
+    const total = Math.max(Math.round(seconds), 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
+  };
+
   return (
     <div className="app">
       <header className="app-header">
@@ -185,9 +542,15 @@ const App = () => {
             <span className="logo">📹</span>
             GoPro Video Processor
           </h1>
-          <div className="connection-status">
-            <span className={`status-indicator ${connectionStatus}`}></span>
-            {connectionStatus === 'connected' ? 'Connected' : 'Disconnected'}
+          <div className="header-actions">
+            <div className="connection-status">
+              <span className={`status-indicator ${connectionStatus}`}></span>
+              {connectionStatus === 'connected' ? 'Connected' : 'Disconnected'}
+            </div>
+            {user && <span className="current-user">{user.username}</span>}
+            {onLogout && (
+              <button className="job-action-btn" onClick={onLogout}>Log out</button>
+            )}
           </div>
         </div>
       </header>
@@ -206,7 +569,17 @@ const App = () => {
                 <div className="progress-circle">
                   <span>{uploadProgress}%</span>
                 </div>
-                <p>Processing files...</p>
+                <p>Uploading files...</p>
+                <div className="file-progress-list">
+                  {files.map(file => (
+                    <div key={file.name} className="file-progress">
+                      <span className="file-name">{file.name}</span>
+                      <span className="file-size">
+                        {formatFileSize(fileProgress[file.name] || 0)} / {formatFileSize(file.size)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
               </div>
             ) : (
               <>
@@ -216,7 +589,7 @@ const App = () => {
                 <input
                   type="file"
                   multiple
-                  accept=".mp4,.MP4,.lrv,.LRV,.thm,.THM"
+                  accept=".mp4,.MP4,.360,.lrv,.LRV,.thm,.THM"
                   onChange={handleFileSelect}
                   className="file-input"
                 />
@@ -237,6 +610,52 @@ const App = () => {
               </div>
             </div>
           )}
+
+          {importRoots.length > 0 && (
+            <div className="import-browser">
+              <h4>Import from server</h4>
+              <div className="import-roots">
+                {importRoots.map(root => (
+                  <button key={root.name} onClick={() => browseImport(root.name)}>
+                    {root.name}
+                  </button>
+                ))}
+              </div>
+              {importListing && (
+                <div className="import-listing">
+                  <div className="import-path">
+                    <span>{importListing.root}:/{importListing.path}</span>
+                    <button
+                      onClick={handleImport}
+                      disabled={!importListing.files.some(file => file.isGoPro)}
+                    >
+                      Import {importListing.files.filter(file => file.isGoPro).length} GoPro files
+                    </button>
+                  </div>
+                  {importListing.parent !== null && (
+                    <button className="import-dir" onClick={() => browseImport(importListing.root, importListing.parent)}>
+                      ..
+                    </button>
+                  )}
+                  {importListing.directories.map(directory => (
+                    <button
+                      key={directory.path}
+                      className="import-dir"
+                      onClick={() => browseImport(importListing.root, directory.path)}
+                    >
+                      📁 {directory.name}
+                    </button>
+                  ))}
+                  {importListing.files.map(file => (
+                    <div key={file.path} className="file-item">
+                      <span className="file-name">{file.name}</span>
+                      <span className="file-size">{formatFileSize(file.size)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
         </section>
 
         {/* File Groups Section */}
@@ -244,6 +663,24 @@ const App = () => {
           <section className="groups-section">
             <div className="section-header">
               <h3>Detected GoPro File Groups</h3>
+              <input
+                type="text"
+                className="session-label"
+                placeholder="Label (optional)"
+                maxLength={100}
+                value={sessionLabel}
+                onChange={(e) => setSessionLabel(e.target.value)}
+                disabled={jobs.length > 0}
+              />
+              <label className="preview-toggle">
+                <input
+                  type="checkbox"
+                  checked={mergePreview}
+                  onChange={() => setMergePreview(!mergePreview)}
+                  disabled={jobs.length > 0 || !groups.every(group => group.hasProxies)}
+                />
+                Low-res preview from LRV files
+              </label>
               <button 
                 className="process-btn"
                 onClick={handleProcess}
@@ -257,20 +694,141 @@ const App = () => {
               {groups.map((group) => (
                 <div key={group.id} className="group-card">
                   <div className="group-header">
+                    {group.thumbnailUrl && (
+                      <img className="group-thumbnail" src={`${API_BASE}${group.thumbnailUrl}`} alt="" />
+                    )}
                     <h4>Sequence {group.sequence}</h4>
                     <span className="encoding-badge">{group.encoding}</span>
                   </div>
                   <div className="group-details">
                     <p>{group.chapterCount} chapters • {formatFileSize(group.totalSize)}</p>
+                    {profiles.length > 1 && (
+                      <select
+                        className="profile-select"
+                        value={group.profile || profiles.find(profile => profile.default)?.name}
+                        onChange={(e) => setGroupProfile(group.id, e.target.value)}
+                        disabled={jobs.length > 0}
+                      >
+                        {profiles
+                          .filter(profile => !(group.scheme === 'spherical' && profile.reencodesVideo))
+                          .map(profile => (
+                            <option key={profile.name} value={profile.name}>{profile.label}</option>
+                          ))}
+                      </select>
+                    )}
                   </div>
+                  {group.validation && (
+                    group.validation.errors.length > 0 || group.validation.warnings.length > 0
+                  ) && (
+                    <ul className="group-validation">
+                      {group.validation.errors.map((issue, issueIndex) => (
+                        <li key={`error-${issueIndex}`} className="validation-error">{issue.message}</li>
+                      ))}
+                      {group.validation.warnings.map((issue, issueIndex) => (
+                        <li key={`warning-${issueIndex}`} className="validation-warning">{issue.message}</li>
+                      ))}
+                    </ul>
+                  )}
                   <div className="chapters">
                     {group.chapters.map((chapter, chapterIndex) => (
-                      <div key={chapterIndex} className="chapter-item">
+                      <div
+                        key={chapter.id}
+                        className={`chapter-item ${chapter.excluded ? 'excluded' : ''}`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={!chapter.excluded}
+                          onChange={() => toggleChapter(group.id, chapter.id)}
+                          disabled={jobs.length > 0}
+                        />
+                        {chapter.thumbnailUrl && (
+                          <img className="chapter-thumbnail" src={`${API_BASE}${chapter.thumbnailUrl}`} alt="" />
+                        )}
                         <span className="chapter-num">Ch. {chapter.chapter}</span>
                         <span className="chapter-name">{chapter.originalname}</span>
                         <span className="chapter-size">{formatFileSize(chapter.size)}</span>
+                        <span className="chapter-order">
+                          <button
+                            onClick={() => moveChapter(group.id, chapterIndex, -1)}
+                            disabled={jobs.length > 0 || chapterIndex === 0}
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => moveChapter(group.id, chapterIndex, 1)}
+                            disabled={jobs.length > 0 || chapterIndex === group.chapters.length - 1}
+                          >
+                            ↓
+                          </button>
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="clip-editor">
+                    {groupTimeline(group).hilights.length > 0 && (
+                      <div className="hilights">
+                        <span>HiLights:</span>
+                        {groupTimeline(group).hilights.map((time, hilightIndex) => (
+                          <button
+                            key={hilightIndex}
+                            onClick={() => addClip(
+                              group.id,
+                              Math.max(time - 5, 0),
+                              Math.min(time + 5, groupTimeline(group).duration)
+                            )}
+                            disabled={jobs.length > 0}
+                            title="Add a 10s clip around this HiLight"
+                          >
+                            ★ {formatDuration(time)}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {(group.clips || []).map((clip, clipIndex) => (
+                      <div key={clipIndex} className="clip-range">
+                        <span>Clip {clipIndex + 1}</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={clip.start}
+                          onChange={(e) => updateClip(group.id, clipIndex, 'start', e.target.value)}
+                          disabled={jobs.length > 0}
+                        />
+                        <span>to</span>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={clip.end}
+                          onChange={(e) => updateClip(group.id, clipIndex, 'end', e.target.value)}
+                          disabled={jobs.length > 0}
+                        />
+                        <span>s</span>
+                        <button onClick={() => removeClip(group.id, clipIndex)} disabled={jobs.length > 0}>
+                          ✕
+                        </button>
                       </div>
                     ))}
+                    <div className="clip-options">
+                      <button
+                        onClick={() => addClip(group.id, 0, Math.min(10, groupTimeline(group).duration || 10))}
+                        disabled={jobs.length > 0}
+                      >
+                        + Add clip
+                      </button>
+                      {group.clips && group.clips.length > 0 && group.scheme !== 'spherical' && (
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={Boolean(group.precise)}
+                            onChange={() => updateGroup(group.id, g => ({ precise: !g.precise }))}
+                            disabled={jobs.length > 0}
+                          />
+                          Precise cuts (re-encode)
+                        </label>
+                      )}
+                    </div>
                   </div>
                 </div>
               ))}
@@ -292,7 +850,7 @@ const App = () => {
                     </span>
                   </div>
                   
-                  {job.status !== 'completed' && job.status !== 'failed' && (
+                  {(job.status === 'queued' || job.status === 'active') && (
                     <div className="progress-bar">
                       <div 
                         className="progress-fill"
@@ -305,12 +863,53 @@ const App = () => {
                       </span>
                     </div>
                   )}
+
+                  {job.status === 'active' && (
+                    <div className="job-stats">
+                      {job.bytesWritten != null && <span>{formatFileSize(job.bytesWritten)} written</span>}
+                      {job.speed != null && <span>{job.speed}x</span>}
+                      {job.eta != null && <span>ETA {formatDuration(job.eta)}</span>}
+                    </div>
+                  )}
                   
                   {job.error && (
                     <div className="error-message">
                       Error: {job.error}
                     </div>
                   )}
+
+                  <div className="job-actions">
+                    {job.preview && (
+                      <a
+                        className="job-action-btn"
+                        href={`${API_BASE}${job.preview.downloadUrl}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        Preview
+                      </a>
+                    )}
+                    {(job.status === 'queued' || job.status === 'active') && (
+                      <button className="job-action-btn" onClick={() => handleCancelJob(job.id)}>
+                        Cancel
+                      </button>
+                    )}
+                    {(job.status === 'failed' || job.status === 'cancelled') && (
+                      <button className="job-action-btn" onClick={() => handleRetryJob(job.id)}>
+                        Retry
+                      </button>
+                    )}
+                    {job.status === 'failed' && job.id && (
+                      <a
+                        className="job-action-btn"
+                        href={`${API_BASE}/api/jobs/${encodeURIComponent(job.id)}/log`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        FFmpeg log
+                      </a>
+                    )}
+                  </div>
                 </div>
               ))}
             </div>
@@ -331,13 +930,27 @@ const App = () => {
                       Created {new Date(file.created).toLocaleString()}
                     </p>
                   </div>
-                  <a
-                    href={`${API_BASE}${file.downloadUrl}`}
-                    download={file.filename}
-                    className="download-btn"
-                  >
-                    Download
-                  </a>
+                  <div className="download-actions">
+                    <a
+                      href={`${API_BASE}${file.downloadUrl}`}
+                      download={file.filename}
+                      className="download-btn"
+                    >
+                      Download
+                    </a>
+                    <button
+                      className="job-action-btn"
+                      onClick={() => handleShareFile(file.filename)}
+                    >
+                      Share
+                    </button>
+                    <button
+                      className="delete-btn"
+                      onClick={() => handleDeleteFile(file.filename)}
+                    >
+                      Delete
+                    </button>
+                  </div>
                 </div>
               ))}
             </div>
@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import App from './App';
+import './App.css';
+
+const API_BASE = window.location.origin;
+
+// Asks the API who we are and shows the login form when the answer is 401. The login cookie
+// is HttpOnly and same-origin, so fetches, downloads and the socket all carry it on their own.
+const AuthGate = () => {
+  const [status, setStatus] = useState('checking');
+  const [user, setUser] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+
+  const checkSession = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/me`);
+      const result = await response.json();
+      if (response.ok) {
+        setUser(result.user);
+        setMode(result.mode);
+        setStatus('authenticated');
+      } else if (response.status === 401) {
+        setStatus('login');
+      } else {
+        setError(result.error);
+        setStatus('unavailable');
+      }
+    } catch (err) {
+      console.error('Auth check error:', err);
+      setError('Service unavailable');
+      setStatus('unavailable');
+    }
+  };
+
+  useEffect(() => {
+    checkSession();
+  }, []);
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    try {
+      const response = await fetch(`${API_BASE}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        setError(result.error);
+        return;
+      }
+      setPassword('');
+      setUser(result.user);
+      setMode('local');
+      setStatus('authenticated');
+    } catch (err) {
+      console.error('Login error:', err);
+      setError('Login failed');
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST' });
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    // The next user on this tab must not inherit the previous user's session
+    sessionStorage.removeItem('gopro-session-id');
+    setUser(null);
+    setStatus('login');
+  };
+
+  if (status === 'authenticated') {
+    return <App user={user} onLogout={mode === 'local' ? handleLogout : null} />;
+  }
+
+  return (
+    <div className="app">
+      <main className="login-page">
+        <form className="login-form" onSubmit={handleLogin}>
+          <h1>
+            <span className="logo">📹</span>
+            GoPro Video Processor
+          </h1>
+          {status === 'checking' && <p>Checking session...</p>}
+          {status === 'unavailable' && (
+            <>
+              <p className="login-error">{error}</p>
+              <button type="button" className="job-action-btn" onClick={checkSession}>Try again</button>
+            </>
+          )}
+          {status === 'login' && (
+            <>
+              <input
+                type="text"
+                placeholder="Username"
+                autoComplete="username"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                required
+              />
+              <input
+                type="password"
+                placeholder="Password"
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+              {error && <p className="login-error">{error}</p>}
+              <button type="submit" className="process-btn">Log in</button>
+            </>
+          )}
+        </form>
+      </main>
+    </div>
+  );
+};
+
+export default AuthGate;
@@ -0,0 +1,346 @@
+const logger = require('./logger');
+
+// GPMF (GoPro Metadata Format) is a KLV stream: 4-byte key, 1-byte type, 1-byte struct
+// size, 2-byte repeat count, then struct size * repeat bytes padded to 32 bits.
+// Type 0 means the payload is itself a list of KLVs (DEVC -> STRM -> samples).
+
+const TYPE_SIZES = {
+  b: 1, B: 1, c: 1,
+  s: 2, S: 2,
+  l: 4, L: 4, f: 4, F: 4, q: 4,
+  d: 8, j: 8, J: 8, Q: 8,
+  G: 16, U: 16
+};
+
+// Keys that describe a stream rather than carry its samples
+const STREAM_METADATA_KEYS = new Set([
+  'STNM', 'SCAL', 'SIUN', 'UNIT', 'TYPE', 'TSMP', 'TIMO', 'EMPT', 'ORIN', 'ORIO', 'MTRX',
+  'TMPC', 'GPSU', 'GPSF', 'GPSP', 'GPSA', 'STMP', 'RMRK', 'QUAN', 'VERS'
+]);
+
+const readNumber = (buffer, offset, type) => {
+  switch (type) {
+    case 'b': return buffer.readInt8(offset);
+    case 'B': return buffer.readUInt8(offset);
+    case 's': return buffer.readInt16BE(offset);
+    case 'S': return buffer.readUInt16BE(offset);
+    case 'l': return buffer.readInt32BE(offset);
+    case 'L': return buffer.readUInt32BE(offset);
+    case 'f': return buffer.readFloatBE(offset);
+    case 'd': return buffer.readDoubleBE(offset);
+    case 'j': return Number(buffer.readBigInt64BE(offset));
+    case 'J': return Number(buffer.readBigUInt64BE(offset));
+    case 'q': return buffer.readInt32BE(offset) / 0x10000;
+    case 'Q': return Number(buffer.readBigInt64BE(offset)) / 0x100000000;
+    case 'F': return buffer.toString('ascii', offset, offset + 4);
+    case 'c':
+    case 'U':
+    case 'G': return buffer.toString('latin1', offset, offset + TYPE_SIZES[type]);
+    default: return null;
+  }
+};
+
+// GPSU and the 'U' type are "yymmddhhmmss.sss" in UTC
+const parseGpmfDate = (value) => {
+  const match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2}(?:\.\d+)?)/.exec(value || '');
+  if (!match) return null;
+  const [, yy, mm, dd, hh, mi, ss] = match;
+  const ms = Date.UTC(2000 + parseInt(yy, 10), parseInt(mm, 10) - 1, parseInt(dd, 10),
+    parseInt(hh, 10), parseInt(mi, 10), 0) + parseFloat(ss) * 1000;
+  return Number.isFinite(ms) ? ms : null;
+};
+
+// Expands a complex TYPE description such as "lllllllSS" or "f[3]L" into one code per element
+const expandTypeDefinition = (definition) => {
+  const codes = [];
+  const pattern = /([a-zA-Z?])(?:\[(\d+)\])?/g;
+  let match;
+  while ((match = pattern.exec(definition)) !== null) {
+    const count = match[2] ? parseInt(match[2], 10) : 1;
+    for (let i = 0; i < count; i++) codes.push(match[1]);
+  }
+  return codes;
+};
+
+class GPMF {
+  static parseKLV(buffer, start = 0, end = buffer.length) {
+    const entries = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      const key = buffer.toString('latin1', offset, offset + 4);
+      const typeByte = buffer.readUInt8(offset + 4);
+      const structSize = buffer.readUInt8(offset + 5);
+      const repeat = buffer.readUInt16BE(offset + 6);
+      const length = structSize * repeat;
+      const dataStart = offset + 8;
+      const dataEnd = dataStart + length;
+
+      if (key === '\0\0\0\0') {
+        break;
+      }
+      if (dataEnd > end) {
+        logger.debug('Truncated GPMF entry', { key, offset, length });
+        break;
+      }
+
+      const entry = {
+        key,
+        type: typeByte === 0 ? null : String.fromCharCode(typeByte),
+        structSize,
+        repeat,
+        data: buffer.subarray(dataStart, dataEnd)
+      };
+      if (typeByte === 0) {
+        entry.children = this.parseKLV(buffer, dataStart, dataEnd);
+      }
+      entries.push(entry);
+
+      offset = dataStart + Math.ceil(length / 4) * 4;
+    }
+
+    return entries;
+  }
+
+  // Returns one array of element values per sample
+  static decode(entry, typeDefinition) {
+    const { type, structSize, repeat, data } = entry;
+
+    if (type === 'c') {
+      // Single strings are often stored one character per struct
+      if (structSize === 1) {
+        return [data.toString('latin1').replace(/\0+$/, '')];
+      }
+      return Array.from({ length: repeat }, (_, i) =>
+        data.toString('latin1', i * structSize, (i + 1) * structSize).replace(/\0+$/, '')
+      );
+    }
+    if (type === 'U') {
+      return Array.from({ length: repeat }, (_, i) => [readNumber(data, i * structSize, 'U')]);
+    }
+
+    const codes = type === '?' ? expandTypeDefinition(typeDefinition || '') : null;
+    const elementSize = TYPE_SIZES[type];
+    if (!codes && !elementSize) {
+      return [];
+    }
+
+    const samples = [];
+    for (let r = 0; r < repeat; r++) {
+      const sampleStart = r * structSize;
+      const values = [];
+      if (codes) {
+        let offset = sampleStart;
+        codes.forEach(code => {
+          values.push(readNumber(data, offset, code));
+          offset += TYPE_SIZES[code] || 0;
+        });
+      } else {
+        for (let offset = sampleStart; offset + elementSize <= sampleStart + structSize; offset += elementSize) {
+          values.push(readNumber(data, offset, type));
+        }
+      }
+      samples.push(values);
+    }
+    return samples;
+  }
+
+  static applyScale(samples, scale) {
+    if (!scale || scale.length === 0) {
+      return samples;
+    }
+    return samples.map(values => values.map((value, i) => {
+      const divisor = scale.length === values.length ? scale[i] : scale[0];
+      return typeof value === 'number' && divisor ? value / divisor : value;
+    }));
+  }
+
+  static readStream(strm) {
+    const stream = { samples: [] };
+
+    strm.children.forEach(entry => {
+      switch (entry.key) {
+        case 'STNM': stream.name = this.decode(entry)[0]; return;
+        case 'SIUN':
+        case 'UNIT': stream.units = this.decode(entry).flat().map(unit => String(unit).trim()).join(','); return;
+        case 'SCAL': stream.scale = this.decode(entry).flat(); return;
+        case 'TYPE': stream.typeDefinition = this.decode(entry)[0]; return;
+        case 'GPSU': stream.gpsTime = parseGpmfDate(this.decode(entry)[0][0]); return;
+        case 'GPSF': stream.gpsFix = this.decode(entry)[0][0]; return;
+        case 'GPSP': stream.gpsPrecision = this.decode(entry)[0][0] / 100; return;
+        default:
+          if (STREAM_METADATA_KEYS.has(entry.key) || entry.children) return;
+          stream.key = entry.key;
+          stream.samples = this.applyScale(this.decode(entry, stream.typeDefinition), stream.scale);
+      }
+    });
+
+    return stream.key ? stream : null;
+  }
+
+  // Decodes one packet (normally a single DEVC covering about a second) and spreads its
+  // samples evenly over [start, start + duration) on the merged timeline
+  static extractSamples(payload, start, duration) {
+    const streams = [];
+
+    this.parseKLV(payload)
+      .filter(devc => devc.key === 'DEVC' && devc.children)
+      .forEach(devc => {
+        devc.children
+          .filter(entry => entry.key === 'STRM' && entry.children)
+          .forEach(strm => {
+            const stream = this.readStream(strm);
+            if (!stream || stream.samples.length === 0) return;
+
+            const step = duration / stream.samples.length;
+            stream.samples = stream.samples.map((values, i) => ({ t: start + i * step, values }));
+            streams.push(stream);
+          });
+      });
+
+    return streams;
+  }
+
+  static toGpsPoint(stream, sample, index, step) {
+    const [lat, lon, alt, speed2d, speed3d] = sample.values;
+    const point = { t: sample.t, lat, lon, alt, speed2d, speed3d, utc: null, fix: stream.gpsFix, precision: stream.gpsPrecision };
+
+    if (stream.key === 'GPS9') {
+      // GPS9 carries its own days-since-2000 and seconds-since-midnight per sample
+      const [, , , , , days, seconds, dop, fix] = sample.values;
+      point.utc = Date.UTC(2000, 0, 1) + (days * 86400 + seconds) * 1000;
+      point.precision = dop;
+      point.fix = fix;
+    } else if (stream.gpsTime) {
+      point.utc = stream.gpsTime + index * step * 1000;
+    }
+    return point;
+  }
+
+  // chapters: [{ offset, packets: [{ pts, duration, payload }] }] in merge order
+  static buildTrack(chapters) {
+    const track = { gps: [], sensors: {}, duration: 0 };
+
+    chapters.forEach(({ offset, packets, duration }) => {
+      packets.forEach(packet => {
+        this.extractSamples(packet.payload, offset + packet.pts, packet.duration).forEach(stream => {
+          if (stream.key === 'GPS5' || stream.key === 'GPS9') {
+            const step = packet.duration / stream.samples.length;
+            stream.samples.forEach((sample, i) => track.gps.push(this.toGpsPoint(stream, sample, i, step)));
+            return;
+          }
+
+          if (!track.sensors[stream.key]) {
+            track.sensors[stream.key] = { name: stream.name || stream.key, units: stream.units || '', samples: [] };
+          }
+          track.sensors[stream.key].samples.push(...stream.samples);
+        });
+      });
+      track.duration = Math.max(track.duration, offset + (duration || 0));
+    });
+
+    logger.debug('Built telemetry track', {
+      gpsSamples: track.gps.length,
+      sensors: Object.keys(track.sensors)
+    });
+    return track;
+  }
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class TelemetryFormatter {
+  // Points without a 2D/3D fix or at 0,0 are noise from before the receiver locked on
+  static gpsFixes(track) {
+    return track.gps.filter(point =>
+      (point.fix === undefined || point.fix === null || point.fix >= 2) && (point.lat !== 0 || point.lon !== 0)
+    );
+  }
+
+  static pointTime(point, startTime) {
+    if (point.utc) return new Date(point.utc).toISOString();
+    if (startTime) return new Date(startTime + point.t * 1000).toISOString();
+    return null;
+  }
+
+  static toGPX(track, { name = 'GoPro track', startTime } = {}) {
+    const points = this.gpsFixes(track).map(point => {
+      const time = this.pointTime(point, startTime);
+      return [
+        `      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lon.toFixed(7)}">`,
+        `        <ele>${point.alt.toFixed(3)}</ele>`,
+        time ? `        <time>${time}</time>` : null,
+        '      </trkpt>'
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="GoPro Video Processor" xmlns="http://www.topografix.com/GPX/1/1">',
+      '  <trk>',
+      `    <name>${escapeXml(name)}</name>`,
+      '    <trkseg>',
+      ...points,
+      '    </trkseg>',
+      '  </trk>',
+      '</gpx>',
+      ''
+    ].join('\n');
+  }
+
+  static toCSV(track, { startTime } = {}) {
+    const rows = [];
+
+    track.gps.forEach(point => {
+      rows.push(['GPS', point.t, this.pointTime(point, startTime), 'deg,deg,m,m/s,m/s',
+        point.lat, point.lon, point.alt, point.speed2d, point.speed3d]);
+    });
+    Object.entries(track.sensors).forEach(([key, sensor]) => {
+      sensor.samples.forEach(sample => {
+        rows.push([key, sample.t, startTime ? new Date(startTime + sample.t * 1000).toISOString() : null,
+          sensor.units, ...sample.values]);
+      });
+    });
+
+    rows.sort((a, b) => a[1] - b[1]);
+    const valueCount = rows.reduce((max, row) => Math.max(max, row.length - 4), 0);
+    const header = ['sensor', 'time_s', 'utc', 'units', ...Array.from({ length: valueCount }, (_, i) => `value_${i + 1}`)];
+
+    return [header, ...rows.map(row => [row[0], row[1].toFixed(6), ...row.slice(2)])]
+      .map(row => row.map(csvField).join(','))
+      .join('\n') + '\n';
+  }
+
+  static toGeoJSON(track, { name = 'GoPro track', startTime } = {}) {
+    const points = this.gpsFixes(track);
+
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(point => [point.lon, point.lat, point.alt])
+        },
+        properties: {
+          name,
+          coordTimes: points.map(point => this.pointTime(point, startTime)),
+          relativeTimes: points.map(point => point.t),
+          speed2d: points.map(point => point.speed2d)
+        }
+      }]
+    });
+  }
+}
+
+module.exports = { GPMF, TelemetryFormatter };
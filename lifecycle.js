@@ -0,0 +1,142 @@
+const path = require('path');
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const logger = require('./logger');
+const { UPLOAD_DIR, OUTPUT_DIR, SHUTDOWN_TIMEOUT_SECONDS, SHUTDOWN_DRAIN_SECONDS } = require('./config');
+const { videoQueue } = require('./queue');
+
+const execFileAsync = promisify(execFile);
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Dependency checks behind /health/ready. Liveness deliberately checks none of these: a Redis
+// outage should take pods out of the Service, not restart them all.
+class HealthChecks {
+  static TIMEOUT_MS = 3000;
+  // The binaries don't change under a running pod, so a found version is reused for a while
+  static BINARY_CACHE_MS = 5 * 60 * 1000;
+  static binaryCache = new Map();
+
+  static async redis() {
+    const status = videoQueue.client.status;
+    if (status !== 'ready') {
+      return { ok: false, status };
+    }
+    const startedAt = Date.now();
+    try {
+      await withTimeout(videoQueue.client.ping(), this.TIMEOUT_MS, 'Redis ping timed out');
+      return { ok: true, status, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { ok: false, status, error: error.message };
+    }
+  }
+
+  static async binary(name) {
+    const cached = this.binaryCache.get(name);
+    if (cached && Date.now() - cached.checkedAt < this.BINARY_CACHE_MS) {
+      return cached.result;
+    }
+
+    let result;
+    try {
+      const { stdout } = await execFileAsync(name, ['-version'], { timeout: this.TIMEOUT_MS });
+      const match = stdout.match(/^\S+ version (\S+)/);
+      result = { ok: true, version: match ? match[1] : stdout.split('\n')[0] };
+      this.binaryCache.set(name, { result, checkedAt: Date.now() });
+    } catch (error) {
+      result = { ok: false, error: error.code === 'ENOENT' ? `${name} not found on PATH` : error.message };
+    }
+    return result;
+  }
+
+  static async writable(dir) {
+    const probePath = path.join(dir, `.health-${process.pid}`);
+    try {
+      await fs.promises.writeFile(probePath, '');
+      await fs.promises.unlink(probePath);
+      return { ok: true, path: dir };
+    } catch (error) {
+      return { ok: false, path: dir, error: error.message };
+    }
+  }
+
+  static async ready() {
+    const [redis, ffmpeg, ffprobe, uploadDir, outputDir] = await Promise.all([
+      this.redis(),
+      this.binary('ffmpeg'),
+      this.binary('ffprobe'),
+      this.writable(UPLOAD_DIR),
+      this.writable(OUTPUT_DIR)
+    ]);
+    const checks = { redis, ffmpeg, ffprobe, uploadDir, outputDir };
+    const failing = Object.keys(checks).filter(name => !checks[name].ok);
+    if (Shutdown.draining) {
+      failing.push('shutdown');
+    }
+    return { ready: failing.length === 0, failing, checks };
+  }
+}
+
+// SIGTERM/SIGINT handling. The entrypoint passes its own drain steps; they get
+// SHUTDOWN_TIMEOUT_SECONDS in total (keep it below the pod's terminationGracePeriodSeconds)
+// before the process exits anyway.
+class Shutdown {
+  static draining = false;
+
+  static install(drain) {
+    const handler = (signal) => {
+      if (this.draining) {
+        logger.warn('Second shutdown signal, exiting immediately', { signal });
+        process.exit(1);
+      }
+      this.draining = true;
+      logger.info('Shutting down', { signal, timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+
+      const deadline = Date.now() + SHUTDOWN_TIMEOUT_SECONDS * 1000;
+      withTimeout(drain(deadline), SHUTDOWN_TIMEOUT_SECONDS * 1000, 'Shutdown timed out')
+        .then(() => {
+          logger.info('Shutdown complete');
+          process.exit(0);
+        })
+        .catch(error => {
+          logger.logError(error, { component: 'Shutdown' });
+          process.exit(1);
+        });
+    };
+
+    process.on('SIGTERM', handler);
+    process.on('SIGINT', handler);
+  }
+
+  // Remaining milliseconds until the deadline, minus a margin for the steps that follow
+  static remaining(deadline, reserveMs = 0) {
+    return Math.max(deadline - Date.now() - reserveMs, 0);
+  }
+
+  // Keeps serving for SHUTDOWN_DRAIN_SECONDS after readiness fails: endpoint removal takes a
+  // while to reach kube-proxy and ingresses, and until then they still route new requests here
+  static async leaveService(deadline, reserveMs = 0) {
+    const ms = Math.min(SHUTDOWN_DRAIN_SECONDS * 1000, this.remaining(deadline, reserveMs));
+    if (ms > 0) {
+      logger.info('Waiting for load balancers to stop routing here', { seconds: ms / 1000 });
+      await new Promise(resolve => setTimeout(resolve, ms));
+    }
+  }
+
+  static async closeQueue() {
+    try {
+      await withTimeout(videoQueue.close(), 5000, 'Queue close timed out');
+    } catch (error) {
+      logger.warn('Queue did not close cleanly', { error: error.message });
+    }
+  }
+}
+
+module.exports = { HealthChecks, Shutdown, withTimeout };
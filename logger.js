@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Ensure logs directory exists
 const LOG_DIR = process.env.LOG_DIR || 'logs';
@@ -36,6 +37,22 @@ const level = () => {
   return env;
 };
 
+// Correlation fields (requestId, jobId) for whatever request or job is running. Every log call
+// made inside logger.runWithContext gets them without passing them around.
+const context = new AsyncLocalStorage();
+
+const withContext = winston.format((info) => {
+  const store = context.getStore();
+  if (store) {
+    Object.entries(store).forEach(([key, value]) => {
+      if (info[key] === undefined && value !== undefined) {
+        info[key] = value;
+      }
+    });
+  }
+  return info;
+});
+
 // Define format for console output
 const consoleFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
@@ -85,6 +102,7 @@ const transports = [
 const logger = winston.createLogger({
   level: level(),
   levels,
+  format: withContext(),
   transports,
   exitOnError: false,
 });
@@ -96,6 +114,10 @@ logger.stream = {
   },
 };
 
+logger.runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+logger.context = () => context.getStore() || {};
+
 // Helper function to log errors with full details
 logger.logError = (error, context = {}) => {
   logger.error('Error occurred', {
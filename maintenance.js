@@ -0,0 +1,435 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('./logger');
+const {
+  FILE_RETENTION_HOURS,
+  RETENTION_SWEEP_INTERVAL_MINUTES,
+  RETENTION_DRY_RUN,
+  WATCH_DIRS,
+  WATCH_OUTPUT_DIR,
+  WATCH_STABLE_SECONDS,
+  WATCH_POLL_SECONDS,
+  WATCH_FILENAME_TEMPLATE
+} = require('./config');
+const { videoQueue, SessionJobs } = require('./queue');
+const { GoProFileDetector, isAllowedUploadType } = require('./detector');
+const { ChapterValidator, ChapterMetadata } = require('./video');
+const { SessionFiles, SessionGroups } = require('./sessions');
+const { OutputNames, JobLogs } = require('./outputs');
+const { SessionOwners } = require('./auth');
+
+// Leftovers of merges whose process died: ffmpeg's `.name.partial` outputs and concat lists.
+// ffmpeg writes continuously, so anything untouched for STALE_MINUTES has no live writer.
+class PartialOutputs {
+  static STALE_MINUTES = 5;
+
+  static isLeftover(name) {
+    return (name.startsWith('.') && name.endsWith('.partial')) || (name.startsWith('filelist_') && name.endsWith('.txt'));
+  }
+
+  static outputDirs() {
+    const dirs = SessionFiles.listSessionIds().map(sessionId => SessionFiles.outputDir(sessionId));
+    if (WATCH_OUTPUT_DIR) {
+      dirs.push(WATCH_OUTPUT_DIR);
+    }
+    return dirs.filter(dir => fs.existsSync(dir));
+  }
+
+  static sweep({ trigger = 'schedule' } = {}) {
+    const cutoff = Date.now() - this.STALE_MINUTES * 60 * 1000;
+    const removed = [];
+
+    for (const dir of this.outputDirs()) {
+      for (const name of fs.readdirSync(dir).filter(entry => this.isLeftover(entry))) {
+        const filePath = path.join(dir, name);
+        try {
+          const stats = fs.statSync(filePath);
+          if (stats.mtimeMs >= cutoff) {
+            continue;
+          }
+          fs.unlinkSync(filePath);
+          removed.push({ path: filePath, size: stats.size });
+        } catch (error) {
+          // Finished or removed by another process since the readdir
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+    }
+
+    if (removed.length > 0) {
+      logger.info('Removed stale partial outputs', {
+        trigger,
+        count: removed.length,
+        freedBytes: removed.reduce((sum, file) => sum + file.size, 0),
+        files: removed.map(file => file.path)
+      });
+    }
+    return removed;
+  }
+}
+
+// Every worker process starts the schedulers, but only the holder of a Redis lease runs a tick.
+// The holder renews the lease on each tick; when it dies, another process takes over once it expires.
+class SchedulerLease {
+  static KEY_PREFIX = 'video-processing:scheduler-lease:';
+  static OWNER = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+
+  static RENEW_SCRIPT = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+      return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+    end
+    return 0
+  `;
+
+  static RELEASE_SCRIPT = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+      return redis.call('DEL', KEYS[1])
+    end
+    return 0
+  `;
+
+  static async acquire(name, ttlMs) {
+    if (videoQueue.client.status !== 'ready') {
+      return false;
+    }
+    const key = this.KEY_PREFIX + name;
+    if (await videoQueue.client.set(key, this.OWNER, 'PX', Math.ceil(ttlMs), 'NX') === 'OK') {
+      logger.info('Scheduler lease acquired', { scheduler: name, owner: this.OWNER });
+      return true;
+    }
+    return await videoQueue.client.eval(this.RENEW_SCRIPT, 1, key, this.OWNER, Math.ceil(ttlMs)) === 1;
+  }
+
+  // Hands the lease over on shutdown instead of leaving the schedulers idle until it expires
+  static async release(name) {
+    if (videoQueue.client.status !== 'ready') {
+      return;
+    }
+    await videoQueue.client.eval(this.RELEASE_SCRIPT, 1, this.KEY_PREFIX + name, this.OWNER);
+  }
+}
+
+// Retention sweeper: expires sessions that have been idle longer than FILE_RETENTION_HOURS
+class RetentionSweeper {
+  static running = false;
+  static timer = null;
+
+  static async getBusySessionIds() {
+    const jobs = await videoQueue.getJobs(['active', 'waiting', 'delayed', 'paused']);
+    return new Set(jobs.filter(Boolean).map(job => job.data.sessionId));
+  }
+
+  static async sweep({ dryRun = RETENTION_DRY_RUN, trigger = 'schedule' } = {}) {
+    if (this.running) {
+      logger.warn('Retention sweep already in progress, skipping', { trigger });
+      return null;
+    }
+
+    if (videoQueue.client.status !== 'ready') {
+      logger.warn('Redis not ready, skipping retention sweep', { trigger, redisStatus: videoQueue.client.status });
+      return null;
+    }
+
+    this.running = true;
+    const startedAt = Date.now();
+    const cutoff = startedAt - FILE_RETENTION_HOURS * 60 * 60 * 1000;
+    const report = {
+      dryRun,
+      trigger,
+      retentionHours: FILE_RETENTION_HOURS,
+      scanned: 0,
+      deleted: [],
+      skipped: [],
+      partialOutputs: 0,
+      jobLogs: 0,
+      freedBytes: 0
+    };
+
+    logger.info('Retention sweep started', { dryRun, trigger, cutoff: new Date(cutoff).toISOString() });
+
+    try {
+      const busySessions = await this.getBusySessionIds();
+      const sessionIds = SessionFiles.listSessionIds();
+      report.scanned = sessionIds.length;
+
+      for (const sessionId of sessionIds) {
+        // One session that cannot be read or deleted (permissions, a file still held open, Redis
+        // dropping mid-sweep) must not stop the others from expiring
+        try {
+          const { lastActivity, totalSize } = SessionFiles.getSessionUsage(sessionId);
+          const lastActivityIso = new Date(lastActivity).toISOString();
+
+          if (lastActivity >= cutoff) {
+            logger.debug('Session within retention window', { sessionId, lastActivity: lastActivityIso });
+            continue;
+          }
+
+          // The watch session only ever holds what older versions wrote there, and keeps its owner
+          if (SessionOwners.isReserved(sessionId)) {
+            logger.debug('Retention skipped reserved session', { sessionId });
+            continue;
+          }
+
+          if (busySessions.has(sessionId)) {
+            logger.info('Retention skipped session with pending jobs', { sessionId, lastActivity: lastActivityIso });
+            report.skipped.push({ sessionId, reason: 'jobs-pending', lastActivity: lastActivityIso });
+            continue;
+          }
+
+          if (dryRun) {
+            logger.info('Retention dry run: would delete session', { sessionId, lastActivity: lastActivityIso, totalSize });
+          } else {
+            SessionFiles.deleteSession(sessionId);
+            await SessionJobs.forget(sessionId);
+            await SessionOwners.release(sessionId);
+            logger.info('Retention deleted expired session', { sessionId, lastActivity: lastActivityIso, totalSize });
+          }
+
+          report.deleted.push({ sessionId, lastActivity: lastActivityIso, totalSize });
+          report.freedBytes += totalSize;
+        } catch (error) {
+          logger.logError(error, { component: 'RetentionSweeper', sessionId, trigger });
+          report.skipped.push({ sessionId, reason: 'error', error: error.message });
+        }
+      }
+
+      report.jobLogs = JobLogs.prune(cutoff, { dryRun });
+
+      if (!dryRun) {
+        const partials = PartialOutputs.sweep({ trigger });
+        report.partialOutputs = partials.length;
+        report.freedBytes += partials.reduce((sum, file) => sum + file.size, 0);
+      }
+
+      logger.info('Retention sweep finished', {
+        dryRun,
+        trigger,
+        scanned: report.scanned,
+        deleted: report.deleted.length,
+        skipped: report.skipped.length,
+        freedBytes: report.freedBytes,
+        durationMs: Date.now() - startedAt
+      });
+      return report;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static LEASE = 'retention';
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return SchedulerLease.release(this.LEASE).catch(error => {
+      logger.logError(error, { component: 'RetentionSweeper', method: 'stop' });
+    });
+  }
+
+  static start() {
+    const intervalMs = RETENTION_SWEEP_INTERVAL_MINUTES * 60 * 1000;
+    this.timer = setInterval(() => {
+      SchedulerLease.acquire(this.LEASE, intervalMs * 2)
+        .then(leader => (leader ? this.sweep() : null))
+        .catch(error => {
+          logger.logError(error, { component: 'RetentionSweeper' });
+        });
+    }, intervalMs);
+    this.timer.unref();
+    logger.info('Retention sweeper scheduled', {
+      intervalMinutes: RETENTION_SWEEP_INTERVAL_MINUTES,
+      retentionHours: FILE_RETENTION_HOURS,
+      dryRun: RETENTION_DRY_RUN
+    });
+  }
+}
+
+// Watch-folder mode: polls WATCH_DIRS (fs.watch is unreliable on SMB/NFS mounts) and queues a
+// merge once a sequence has no missing chapters and none of its files has changed size for
+// WATCH_STABLE_SECONDS. A ledger in WATCH_OUTPUT_DIR keeps restarts from merging a sequence twice.
+class WatchFolders {
+  // Reserved by SessionOwners, so only admins can see the watch session's jobs
+  static SESSION_ID = SessionOwners.WATCH_SESSION_ID;
+  static pending = new Map();
+  static running = false;
+  static timer = null;
+
+  static ledgerPath() {
+    return path.join(WATCH_OUTPUT_DIR, '.watch-ledger.json');
+  }
+
+  static loadLedger() {
+    if (!fs.existsSync(this.ledgerPath())) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.ledgerPath(), 'utf8'));
+  }
+
+  // Written to a temporary file and renamed over the old one, so a crash mid-write cannot
+  // leave a truncated ledger that fails to parse on every later scan
+  static saveLedger(ledger) {
+    const tempPath = `${this.ledgerPath()}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(ledger, null, 2));
+    fs.renameSync(tempPath, this.ledgerPath());
+  }
+
+  static listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.') && isAllowedUploadType(entry.name))
+      .map(entry => {
+        const filePath = path.join(dir, entry.name);
+        return { originalname: entry.name, filename: entry.name, path: filePath, size: fs.statSync(filePath).size };
+      });
+  }
+
+  static isComplete(group) {
+    return group.chapters.every((chapter, index) => chapter.chapter === group.firstChapter + index);
+  }
+
+  // Identifies the exact set of files and sizes, so a sequence that grows later is merged again
+  static jobKey(dir, group) {
+    const signature = group.chapters.map(chapter => `${chapter.filename}:${chapter.size}`).join('|');
+    return crypto.createHash('sha256').update(`${dir}|${signature}`).digest('hex').substring(0, 24);
+  }
+
+  static async scan() {
+    if (this.running) {
+      logger.debug('Watch scan already in progress, skipping');
+      return;
+    }
+
+    this.running = true;
+    try {
+      const ledger = this.loadLedger();
+      const seen = new Set();
+
+      for (const dir of WATCH_DIRS) {
+        if (!fs.existsSync(dir)) {
+          logger.warn('Watch directory not available', { dir });
+          continue;
+        }
+
+        for (const group of GoProFileDetector.groupFiles(this.listFiles(dir))) {
+          const key = `${dir}|${group.prefix}_${group.sequence}`;
+          const jobKey = this.jobKey(dir, group);
+          seen.add(key);
+
+          if (ledger[jobKey]) {
+            continue;
+          }
+          if (!this.isComplete(group)) {
+            logger.debug('Watched sequence has missing chapters', { dir, sequence: group.sequence, chapters: group.chapters.map(ch => ch.chapter) });
+            this.pending.delete(key);
+            continue;
+          }
+
+          const state = this.pending.get(key);
+          if (!state || state.jobKey !== jobKey) {
+            logger.debug('Watched sequence changed, waiting for it to settle', { dir, sequence: group.sequence });
+            this.pending.set(key, { jobKey, stableSince: Date.now() });
+            continue;
+          }
+          if (Date.now() - state.stableSince < WATCH_STABLE_SECONDS * 1000) {
+            continue;
+          }
+
+          ledger[jobKey] = await this.enqueue(dir, group, jobKey);
+          this.pending.delete(key);
+          this.saveLedger(ledger);
+        }
+      }
+
+      this.pending.forEach((_, key) => {
+        if (!seen.has(key)) {
+          this.pending.delete(key);
+        }
+      });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static async enqueue(dir, group, jobKey) {
+    const groupId = SessionGroups.groupId(group);
+    const chapters = [];
+    for (const chapter of group.chapters) {
+      const { hilights, camera } = ChapterMetadata.read(chapter.path);
+      chapters.push({ id: chapter.filename, ...chapter, probe: await ChapterValidator.probeChapter(chapter), hilights, camera });
+    }
+
+    const validation = ChapterValidator.validate({ ...group, id: groupId }, chapters);
+    if (!validation.mergeable) {
+      // Recorded so the same broken files are not re-probed every poll; new or resized files get a new key
+      logger.warn('Watched sequence cannot be merged', { dir, groupId, errors: validation.errors });
+      return { status: 'skipped', groupId, reason: validation.errors[0].message, at: new Date().toISOString() };
+    }
+
+    // The watched folder's name stands in for the session label
+    const outputName = OutputNames.forJob(
+      WATCH_FILENAME_TEMPLATE,
+      OutputNames.groupFields(group, chapters, { label: path.basename(dir) })
+    );
+
+    // Only the lease holder scans, but a holder that dies between queuing and saving the ledger
+    // leaves the next one to queue the sequence again. The deterministic id stops that while the
+    // first job is still kept in Redis; the ledger is saved right after, before the job can be trimmed.
+    const job = await videoQueue.add('concatenate', {
+      files: chapters,
+      sessionId: this.SESSION_ID,
+      groupId,
+      extension: group.extension,
+      label: path.basename(dir),
+      outputName,
+      destination: { dir: WATCH_OUTPUT_DIR }
+    }, { jobId: `watch_${jobKey}` });
+    await SessionJobs.track(this.SESSION_ID, job.id);
+
+    logger.info('Watched sequence queued', { dir, groupId, jobId: job.id, outputName, chapterCount: chapters.length });
+    return { status: 'queued', groupId, jobId: job.id, outputName, at: new Date().toISOString() };
+  }
+
+  static LEASE = 'watch-folders';
+
+  static stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return SchedulerLease.release(this.LEASE).catch(error => {
+      logger.logError(error, { component: 'WatchFolders', method: 'stop' });
+    });
+  }
+
+  static start() {
+    if (WATCH_DIRS.length === 0) {
+      return;
+    }
+    if (!WATCH_OUTPUT_DIR) {
+      logger.error('WATCH_DIRS is set but WATCH_OUTPUT_DIR is not; watch-folder mode disabled');
+      return;
+    }
+    OutputNames.checkTemplate('WATCH_FILENAME_TEMPLATE', WATCH_FILENAME_TEMPLATE);
+
+    fs.mkdirSync(WATCH_OUTPUT_DIR, { recursive: true });
+    const intervalMs = WATCH_POLL_SECONDS * 1000;
+    this.timer = setInterval(() => {
+      SchedulerLease.acquire(this.LEASE, intervalMs * 2)
+        .then(leader => (leader ? this.scan() : null))
+        .catch(error => {
+          logger.logError(error, { component: 'WatchFolders' });
+        });
+    }, intervalMs);
+    this.timer.unref();
+    logger.info('Watch-folder mode started', {
+      dirs: WATCH_DIRS,
+      outputDir: WATCH_OUTPUT_DIR,
+      stableSeconds: WATCH_STABLE_SECONDS,
+      pollSeconds: WATCH_POLL_SECONDS
+    });
+  }
+}
+
+module.exports = { PartialOutputs, SchedulerLease, RetentionSweeper, WatchFolders };
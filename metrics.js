@@ -0,0 +1,132 @@
+const http = require('http');
+const client = require('prom-client');
+const logger = require('./logger');
+const { UPLOAD_DIR, OUTPUT_DIR } = require('./config');
+const { videoQueue } = require('./queue');
+const { DiskSpace } = require('./storage');
+
+// Prometheus metrics. Counters and histograms are per process: API pods count uploads and
+// sockets, worker pods count jobs and ffmpeg runs. Queue depth and disk usage are read at
+// scrape time, so every pod reports the same shared values; aggregate those with max().
+class Metrics {
+  static registry = new client.Registry();
+
+  // Bull's own states, so `waiting` and `delayed` (retry backoff) can be told apart
+  static queueJobs = new client.Gauge({
+    name: 'gopro_queue_jobs',
+    help: 'Jobs in the video processing queue by state',
+    labelNames: ['state'],
+    registers: [Metrics.registry],
+    async collect() {
+      // Without Redis the scrape keeps the last known depth rather than waiting on reconnects
+      if (videoQueue.client.status !== 'ready') {
+        return;
+      }
+      const counts = await videoQueue.getJobCounts();
+      Object.entries(counts).forEach(([state, count]) => this.set({ state }, count));
+    }
+  });
+
+  static jobDuration = new client.Histogram({
+    name: 'gopro_job_duration_seconds',
+    help: 'Wall time of job attempts by output profile and outcome',
+    labelNames: ['profile', 'outcome'],
+    buckets: [10, 30, 60, 120, 300, 600, 1200, 1800, 3600, 7200, 14400],
+    registers: [Metrics.registry]
+  });
+
+  static ffmpegExits = new client.Counter({
+    name: 'gopro_ffmpeg_exits_total',
+    help: 'FFmpeg runs by task and exit code (or the signal that killed them)',
+    labelNames: ['task', 'code'],
+    registers: [Metrics.registry]
+  });
+
+  static uploadedBytes = new client.Counter({
+    name: 'gopro_uploaded_bytes_total',
+    help: 'Bytes received from clients by upload method',
+    labelNames: ['method'],
+    registers: [Metrics.registry]
+  });
+
+  static outputBytes = new client.Counter({
+    name: 'gopro_output_bytes_total',
+    help: 'Bytes of merged outputs, clips and previews written by completed jobs',
+    labelNames: ['profile'],
+    registers: [Metrics.registry]
+  });
+
+  static uploadFailures = new client.Counter({
+    name: 'gopro_upload_failures_total',
+    help: 'Rejected or failed uploads by reason',
+    labelNames: ['reason'],
+    registers: [Metrics.registry]
+  });
+
+  static socketConnections = new client.Gauge({
+    name: 'gopro_socket_connections',
+    help: 'Connected socket.io clients',
+    registers: [Metrics.registry]
+  });
+
+  static diskBytes = new client.Gauge({
+    name: 'gopro_disk_bytes',
+    help: 'Size and free space of the volumes holding the upload and output dirs',
+    labelNames: ['volume', 'kind'],
+    registers: [Metrics.registry],
+    collect() {
+      [['uploads', UPLOAD_DIR], ['outputs', OUTPUT_DIR]].forEach(([volume, dir]) => {
+        const usage = DiskSpace.usage(dir);
+        this.set({ volume, kind: 'total' }, usage.totalBytes);
+        this.set({ volume, kind: 'free' }, usage.freeBytes);
+        this.set({ volume, kind: 'used' }, usage.usedBytes);
+      });
+    }
+  });
+
+  // Error codes set by multer, fileFilter, ChunkedUploads and DiskSpace
+  static UPLOAD_FAILURE_REASONS = {
+    UNSUPPORTED_FILE_TYPE: 'unsupported_file_type',
+    LIMIT_FILE_SIZE: 'file_too_large',
+    FILE_TOO_LARGE: 'file_too_large',
+    LIMIT_FILE_COUNT: 'too_many_files',
+    INSUFFICIENT_STORAGE: 'insufficient_storage',
+    CHECKSUM_MISMATCH: 'checksum_mismatch',
+    OFFSET_MISMATCH: 'offset_mismatch'
+  };
+
+  static uploadFailed(error) {
+    const reason = this.UPLOAD_FAILURE_REASONS[error.code] || (error.status && error.status < 500 ? 'invalid_request' : 'error');
+    this.uploadFailures.inc({ reason });
+  }
+
+  static async render() {
+    return this.registry.metrics();
+  }
+
+  // Standalone endpoint for worker processes, which have no Express app
+  static serve(port) {
+    const server = http.createServer(async (req, res) => {
+      if (req.url !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+      try {
+        const body = await this.render();
+        res.writeHead(200, { 'Content-Type': this.registry.contentType }).end(body);
+      } catch (error) {
+        logger.logError(error, { component: 'Metrics' });
+        res.writeHead(500).end(error.message);
+      }
+    });
+    server.listen(port, '0.0.0.0', () => {
+      logger.info('Metrics endpoint listening', { port, path: '/metrics' });
+    });
+    return server;
+  }
+}
+
+// Process CPU, memory, heap and event loop lag
+client.collectDefaultMetrics({ register: Metrics.registry, prefix: 'gopro_' });
+
+module.exports = { Metrics };
@@ -0,0 +1,229 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { OUTPUT_DIR, DOWNLOAD_LINK_SECRET, DOWNLOAD_LINK_HOURS, DOWNLOAD_LINK_MAX_HOURS } = require('./config');
+const { OutputProfiles } = require('./video');
+const { SessionFiles, SessionGroups } = require('./sessions');
+
+// Output filenames from `{placeholder}` templates
+class OutputNames {
+  static FIELDS = [
+    'prefix', 'sequence', 'encoding', 'groupId', 'profile', 'label',
+    'date', 'time', 'timestamp',
+    'created', 'createdDate', 'createdTime',
+    'model', 'serial'
+  ];
+
+  static unknownFields(template) {
+    return (template.match(/\{([^}]*)\}/g) || [])
+      .map(placeholder => placeholder.slice(1, -1))
+      .filter(field => !this.FIELDS.includes(field));
+  }
+
+  static checkTemplate(setting, template) {
+    const unknownFields = this.unknownFields(template);
+    if (unknownFields.length > 0) {
+      logger.warn(`${setting} has unknown placeholders, they will be left empty`, { template, unknownFields });
+    }
+  }
+
+  // Recording fields come from the first chapter: its creation_time and udta camera metadata
+  static groupFields(group, chapters, { label = '', profile = OutputProfiles.DEFAULT, now = new Date() } = {}) {
+    const iso = now.toISOString();
+    const first = chapters[0] || {};
+    const creationTime = first.probe && first.probe.creationTime;
+    const created = creationTime && !Number.isNaN(Date.parse(creationTime)) ? new Date(creationTime).toISOString() : null;
+    const camera = first.camera || {};
+
+    return {
+      prefix: group.prefix || '',
+      sequence: String(group.sequence).padStart(4, '0'),
+      encoding: group.encoding || '',
+      groupId: group.id || SessionGroups.groupId(group),
+      profile,
+      label,
+      date: iso.substring(0, 10),
+      time: iso.substring(11, 19).replace(/:/g, '-'),
+      timestamp: iso.replace(/[:.]/g, '-'),
+      created: created ? created.substring(0, 19).replace(/:/g, '-') : '',
+      createdDate: created ? created.substring(0, 10) : '',
+      createdTime: created ? created.substring(11, 19).replace(/:/g, '-') : '',
+      model: (camera.model || '').replace(/\s+/g, '-'),
+      serial: camera.serial || ''
+    };
+  }
+
+  // Non-copy profiles are marked on the name unless the template places `{profile}` itself
+  static forJob(template, fields) {
+    const base = this.render(template, fields);
+    return fields.profile === OutputProfiles.DEFAULT || template.includes('{profile}')
+      ? base
+      : `${base}_${fields.profile}`;
+  }
+
+  // Values come from filenames and camera metadata, so anything a filesystem could trip over is replaced.
+  // Dotfiles and filelist_ names are hidden from listings and downloads, so those can't be produced either.
+  static render(template, fields) {
+    const name = template.replace(/\{([^}]*)\}/g, (_, field) => (fields[field] === undefined ? '' : String(fields[field])))
+      .replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_')
+      .replace(/^[\s.]+/, '')
+      .trim();
+    if (name.startsWith('filelist_')) {
+      return `GoPro_${name}`;
+    }
+    return name || 'GoPro_Merged';
+  }
+
+  // Never overwrite an existing output: GX0042.mp4, GX0042_2.mp4, ...
+  static unique(dir, base, extension) {
+    let candidate = `${base}${extension}`;
+    for (let n = 2; fs.existsSync(path.join(dir, candidate)); n++) {
+      candidate = `${base}_${n}${extension}`;
+    }
+    return candidate;
+  }
+}
+
+// Optional JSON written next to each output: where it came from and how it was made
+class OutputSidecar {
+  static checksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  static async checksumChapters(files) {
+    const checksums = {};
+    for (const file of files) {
+      checksums[file.path] = await this.checksum(file.path);
+    }
+    return checksums;
+  }
+
+  static quoteArg(arg) {
+    return /^[A-Za-z0-9_./:=,+-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`;
+  }
+
+  static write(outputPath, { job, files, checksums, ffmpegArgs, range = null }) {
+    const sidecarPath = outputPath.replace(/\.[^.]+$/, '.json');
+    const sidecar = {
+      output: {
+        filename: path.basename(outputPath),
+        size: fs.statSync(outputPath).size,
+        createdAt: new Date().toISOString(),
+        profile: job.data.profile || OutputProfiles.DEFAULT,
+        range
+      },
+      job: {
+        id: job.id,
+        sessionId: job.data.sessionId,
+        groupId: job.data.groupId,
+        label: job.data.label || null
+      },
+      chapters: files.map(file => ({
+        filename: file.originalname || file.filename,
+        size: file.size,
+        sha256: checksums[file.path],
+        duration: (file.probe && file.probe.duration) || null,
+        creationTime: (file.probe && file.probe.creationTime) || null,
+        camera: file.camera || null
+      })),
+      ffmpeg: {
+        args: ffmpegArgs,
+        command: ['ffmpeg', ...ffmpegArgs].map(arg => this.quoteArg(String(arg))).join(' ')
+      }
+    };
+
+    fs.writeFileSync(sidecarPath, JSON.stringify(sidecar, null, 2));
+    logger.debug('Wrote output sidecar', { sidecarPath });
+    return path.basename(sidecarPath);
+  }
+}
+
+// Shareable download URLs: an HMAC over the session, filename and expiry stands in for the login,
+// so a link opens that one file until it expires and nothing else in the session
+class DownloadLinks {
+  static url(sessionId, filename) {
+    return `/api/download/${encodeURIComponent(sessionId)}/${encodeURIComponent(filename)}`;
+  }
+
+  static signature(sessionId, filename, expires) {
+    return crypto.createHmac('sha256', DOWNLOAD_LINK_SECRET)
+      .update(`${sessionId}/${filename}:${expires}`)
+      .digest('base64url');
+  }
+
+  static create(sessionId, filename, expiresInHours = DOWNLOAD_LINK_HOURS) {
+    if (!DOWNLOAD_LINK_SECRET) {
+      throw httpError(503, 'Download links are disabled (set DOWNLOAD_LINK_SECRET or APP_SECRET)');
+    }
+    const hours = Number(expiresInHours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > DOWNLOAD_LINK_MAX_HOURS) {
+      throw httpError(400, `expiresInHours must be between 0 and ${DOWNLOAD_LINK_MAX_HOURS}`);
+    }
+
+    const expires = Math.floor(Date.now() / 1000 + hours * 60 * 60);
+    const query = new URLSearchParams({ expires, signature: this.signature(sessionId, filename, expires) });
+    return {
+      url: `${this.url(sessionId, filename)}?${query}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  static isSigned(query) {
+    return typeof query.signature === 'string' && typeof query.expires === 'string';
+  }
+
+  static verify(sessionId, filename, { expires, signature }) {
+    if (!DOWNLOAD_LINK_SECRET || !/^\d+$/.test(expires) || Number(expires) * 1000 < Date.now()) {
+      return false;
+    }
+    const expected = Buffer.from(this.signature(sessionId, filename, expires));
+    const provided = Buffer.from(signature);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  }
+}
+
+// Full ffmpeg stderr of a job, every run of every attempt appended to one file. It is hidden in
+// the session's output dir, so API pods can serve it and retention removes it with the session.
+// Watch-folder jobs have no session dir; theirs go to a shared dir the retention sweep prunes.
+class JobLogs {
+  static DIR = path.join(OUTPUT_DIR, '.job-logs');
+
+  static path(job) {
+    if (job.data.destination) {
+      return path.join(this.DIR, `${job.id}.log`);
+    }
+    return path.join(SessionFiles.outputDir(job.data.sessionId), `.job-${job.id}.log`);
+  }
+
+  // Removes shared logs last written before `cutoff` and returns how many there were
+  static prune(cutoff, { dryRun = false } = {}) {
+    if (!fs.existsSync(this.DIR)) {
+      return 0;
+    }
+    const expired = fs.readdirSync(this.DIR)
+      .map(name => path.join(this.DIR, name))
+      .filter(logPath => fs.statSync(logPath).mtimeMs < cutoff);
+    if (!dryRun) {
+      expired.forEach(logPath => fs.unlinkSync(logPath));
+    }
+    return expired.length;
+  }
+
+  static startAttempt(job, attempt) {
+    const logPath = this.path(job);
+    fs.mkdirSync(path.dirname(logPath), { recursive: true });
+    const request = job.data.requestId ? ` (request ${job.data.requestId})` : '';
+    fs.appendFileSync(logPath, `=== ${new Date().toISOString()} job ${job.id} attempt ${attempt}${request} ===\n`);
+    return logPath;
+  }
+}
+
+module.exports = { OutputNames, OutputSidecar, DownloadLinks, JobLogs };
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const Bull = require('bull');
+const logger = require('./logger');
+const {
+  REDIS_URL,
+  JOB_ATTEMPTS,
+  JOB_BACKOFF_SECONDS,
+  FINISHED_JOB_RETENTION_HOURS,
+  FINISHED_JOB_LIMIT
+} = require('./config');
+
+// Bull trims finished jobs past these limits whenever another job finishes
+const keepFinished = { age: Math.round(FINISHED_JOB_RETENTION_HOURS * 60 * 60), count: FINISHED_JOB_LIMIT };
+
+// Initialize Bull queue
+logger.info('Initializing Bull queue', { REDIS_URL, JOB_ATTEMPTS, JOB_BACKOFF_SECONDS, keepFinished });
+const videoQueue = new Bull('video processing', REDIS_URL, {
+  defaultJobOptions: {
+    attempts: JOB_ATTEMPTS,
+    backoff: { type: 'exponential', delay: JOB_BACKOFF_SECONDS * 1000 },
+    removeOnComplete: keepFinished,
+    removeOnFail: keepFinished
+  }
+});
+
+videoQueue.on('error', (error) => {
+  logger.logError(error, { component: 'Bull Queue', event: 'error' });
+});
+
+videoQueue.on('waiting', (jobId) => {
+  logger.debug('Job waiting in queue', { jobId, component: 'Bull Queue' });
+});
+
+videoQueue.on('active', (job) => {
+  logger.info('Job started processing', { jobId: job.id, requestId: job.data.requestId, component: 'Bull Queue' });
+});
+
+videoQueue.on('completed', (job, result) => {
+  logger.info('Job completed successfully', { 
+    jobId: job.id, 
+    requestId: job.data.requestId,
+    outputFilename: result.outputFilename,
+    fileSize: result.fileSize,
+    component: 'Bull Queue' 
+  });
+});
+
+// A worker died or lost its Redis lock mid-job; Bull requeues the job for another attempt
+videoQueue.on('stalled', (job) => {
+  logger.warn('Job stalled', { jobId: job.id, requestId: job.data.requestId, attemptsMade: job.attemptsMade, component: 'Bull Queue' });
+});
+
+videoQueue.on('failed', (job, error) => {
+  logger.error('Job failed', { 
+    jobId: job.id, 
+    requestId: job.data.requestId,
+    attemptsMade: job.attemptsMade,
+    error: error.message,
+    stack: error.stack,
+    component: 'Bull Queue' 
+  });
+});
+
+// Bull job lookups scoped to a session
+class SessionJobs {
+  // States in which a job still needs the session's files
+  static LIVE_STATES = ['active', 'waiting', 'delayed', 'paused'];
+
+  // Ids of the jobs queued for each session, so listing them doesn't load the whole queue
+  static KEY_PREFIX = 'video-processing:session-jobs:';
+  // Per session: how many times each job key has been run
+  static RUNS_PREFIX = 'video-processing:job-runs:';
+
+  static async track(sessionId, jobId) {
+    await videoQueue.client.sadd(this.KEY_PREFIX + sessionId, jobId);
+  }
+
+  // Called once the session's files are gone. Its jobs can only be finished by then, and removing
+  // them lets the run numbers start over if the session id is used again.
+  static async forget(sessionId) {
+    const jobIds = await videoQueue.client.smembers(this.KEY_PREFIX + sessionId);
+    const jobs = await Promise.all(jobIds.map(jobId => videoQueue.getJob(jobId)));
+    await Promise.all(jobs.filter(Boolean).map(job => job.remove()));
+    await videoQueue.client.del(this.KEY_PREFIX + sessionId, this.RUNS_PREFIX + sessionId);
+  }
+
+  static async serialize(job) {
+    const state = await job.getState();
+    return {
+      id: job.id,
+      groupId: job.data.groupId,
+      sessionId: job.data.sessionId,
+      requestId: job.data.requestId || null,
+      state,
+      progress: typeof job.progress() === 'number' ? job.progress() : 0,
+      attempts: job.attemptsMade,
+      result: job.returnvalue || null,
+      error: job.failedReason || null,
+      createdAt: new Date(job.timestamp).toISOString(),
+      processedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+      logUrl: job.processedOn ? `/api/jobs/${encodeURIComponent(job.id)}/log` : null
+    };
+  }
+
+  // One live job per session, chapter selection and output settings, so a double submit gets the
+  // job that is already queued instead of a second merge of the same files
+  static jobKey(data) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([
+        data.sessionId,
+        data.groupId,
+        (data.files || []).map(file => file.id),
+        data.profile,
+        data.clips || null,
+        Boolean(data.precise),
+        Boolean(data.preview),
+        data.label || ''
+      ]))
+      .digest('hex');
+    return `merge_${hash.slice(0, 32)}`;
+  }
+
+  // Every run of a key gets its own job id (`<key>_1`, `<key>_2`, ...), so a finished run keeps its
+  // history and log when the same output is asked for again
+  static async add(data) {
+    const key = this.jobKey(data);
+    const runsKey = this.RUNS_PREFIX + data.sessionId;
+    const run = parseInt(await videoQueue.client.hget(runsKey, key), 10) || 0;
+
+    if (run > 0) {
+      const current = await videoQueue.getJob(`${key}_${run}`);
+      if (current && this.LIVE_STATES.includes(await current.getState())) {
+        return { job: current, duplicate: true };
+      }
+    }
+
+    // Concurrent submits compute the same next id, and Bull does not add a job id twice
+    const job = await videoQueue.add('concatenate', data, { jobId: `${key}_${run + 1}` });
+    await videoQueue.client.hset(runsKey, key, run + 1);
+    await this.track(data.sessionId, job.id);
+    return { job, duplicate: false };
+  }
+
+  static async list(sessionId) {
+    const key = this.KEY_PREFIX + sessionId;
+    const jobIds = await videoQueue.client.smembers(key);
+    const jobs = await Promise.all(jobIds.map(jobId => videoQueue.getJob(jobId)));
+
+    // Bull has since trimmed these finished jobs
+    const expired = jobIds.filter((jobId, i) => !jobs[i]);
+    if (expired.length > 0) {
+      await videoQueue.client.srem(key, ...expired);
+    }
+
+    const sessionJobs = jobs.filter(Boolean);
+    const serialized = await Promise.all(sessionJobs.map(job => this.serialize(job)));
+    return serialized.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+}
+
+// Cancellation requests travel over Redis pub/sub so they reach whichever process runs the job
+class JobCancellation {
+  static CHANNEL = 'video-processing:cancel';
+  // Abort reason for jobs interrupted by a worker shutting down rather than by the user
+  static SHUTDOWN = 'shutdown';
+  static controllers = new Map();
+  static subscriber = null;
+
+  static listen() {
+    this.subscriber = videoQueue.client.duplicate();
+
+    this.subscriber.on('error', (error) => {
+      logger.logError(error, { component: 'JobCancellation', event: 'subscriber error' });
+    });
+
+    this.subscriber.on('message', (channel, jobId) => {
+      const controller = this.controllers.get(jobId);
+      if (controller) {
+        logger.info('Cancelling running job', { jobId });
+        controller.abort();
+      }
+    });
+
+    this.subscriber.subscribe(this.CHANNEL).catch(error => {
+      logger.logError(error, { component: 'JobCancellation', event: 'subscribe' });
+    });
+  }
+
+  static register(jobId) {
+    const controller = new AbortController();
+    this.controllers.set(String(jobId), controller);
+    return controller.signal;
+  }
+
+  static unregister(jobId) {
+    this.controllers.delete(String(jobId));
+  }
+
+  static running() {
+    return Array.from(this.controllers.keys());
+  }
+
+  static abortAll(reason) {
+    this.controllers.forEach(controller => controller.abort(reason));
+  }
+
+  static async request(jobId) {
+    logger.debug('Publishing job cancellation', { jobId });
+    await videoQueue.client.publish(this.CHANNEL, String(jobId));
+  }
+}
+
+// Socket.io events for a session, published by whichever process runs the job and relayed
+// to the session's room by every API process
+class JobEvents {
+  static CHANNEL = 'video-processing:events';
+  static subscriber = null;
+
+  static listen(io) {
+    this.subscriber = videoQueue.client.duplicate();
+
+    this.subscriber.on('error', (error) => {
+      logger.logError(error, { component: 'JobEvents', event: 'subscriber error' });
+    });
+
+    this.subscriber.on('message', (channel, message) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(message);
+      } catch (error) {
+        logger.warn('Ignoring malformed job event', { message });
+        return;
+      }
+
+      io.to(parsed.sessionId).emit(parsed.event, parsed.payload);
+    });
+
+    this.subscriber.subscribe(this.CHANNEL).catch(error => {
+      logger.logError(error, { component: 'JobEvents', event: 'subscribe' });
+    });
+  }
+
+  static publish(sessionId, event, payload) {
+    return videoQueue.client.publish(this.CHANNEL, JSON.stringify({ sessionId, event, payload }))
+      .catch(error => {
+        logger.logError(error, { component: 'JobEvents', sessionId, event });
+      });
+  }
+}
+
+module.exports = { videoQueue, SessionJobs, JobCancellation, JobEvents };
@@ -5,11 +5,42 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
 const crypto = require('crypto');
-const Bull = require('bull');
+const { AsyncResource } = require('async_hooks');
 const morgan = require('morgan');
 const logger = require('./logger');
+const { httpError } = require('./errors');
+const {
+  PORT,
+  REDIS_URL,
+  UPLOAD_DIR,
+  OUTPUT_DIR,
+  MAX_FILE_SIZE,
+  RETENTION_DRY_RUN,
+  APP_SECRET,
+  AUTH_MODE,
+  UPLOAD_CHUNK_SIZE,
+  API_ONLY,
+  OUTPUT_FILENAME_TEMPLATE,
+  PROMETHEUS_ENABLED
+} = require('./config');
+const { videoQueue, SessionJobs, JobCancellation, JobEvents } = require('./queue');
+const { GoProFileDetector, isAllowedUploadType } = require('./detector');
+const { OutputProfiles } = require('./video');
+const {
+  SessionFiles,
+  ImportRoots,
+  SessionImports,
+  SessionGroups,
+  ChunkedUploads
+} = require('./sessions');
+const { OutputNames, DownloadLinks, JobLogs } = require('./outputs');
+const { DiskSpace } = require('./storage');
+const { Accounts, Authentication, SessionOwners } = require('./auth');
+const { RetentionSweeper } = require('./maintenance');
+const { startWorker, stopWorker } = require('./worker');
+const { Metrics } = require('./metrics');
+const { HealthChecks, Shutdown, withTimeout } = require('./lifecycle');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,79 +51,102 @@ const io = socketIo(server, {
   }
 });
 
-// Configuration
-const PORT = process.env.PORT || 3000;
-const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
-const UPLOAD_DIR = process.env.UPLOAD_DIR || '/tmp/uploads';
-const OUTPUT_DIR = process.env.OUTPUT_DIR || '/tmp/outputs';
-const MAX_FILE_SIZE = process.env.MAX_FILE_SIZE || 10 * 1024 * 1024 * 1024;
-const FILE_RETENTION_HOURS = process.env.FILE_RETENTION_HOURS || 24;
+// Body parsers call next from the request stream's events, which run outside the request's
+// log context; binding next keeps the requestId on everything logged after them
+const keepContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
 
-logger.info('Application starting with configuration', {
-  PORT,
-  REDIS_URL,
-  UPLOAD_DIR,
-  OUTPUT_DIR,
-  MAX_FILE_SIZE,
-  FILE_RETENTION_HOURS,
-  LOG_LEVEL: process.env.LOG_LEVEL || 'info'
-});
+// A well-formed X-Request-Id from a proxy or client is kept, so one id follows the request
+// through every hop and into the jobs it queues
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-// Ensure directories exist
-[UPLOAD_DIR, OUTPUT_DIR].forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    logger.debug(`Creating directory: ${dir}`);
-    fs.mkdirSync(dir, { recursive: true });
-    logger.info(`Directory created: ${dir}`);
-  } else {
-    logger.debug(`Directory already exists: ${dir}`);
+const assignRequestId = (req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+morgan.token('request-id', (req) => req.id);
+
+// Middleware
+app.use(assignRequestId);
+app.use(cors());
+app.use(keepContext(express.json()));
+app.use(express.static('public'));
+app.use(morgan(`:request-id ${morgan.combined}`, { stream: logger.stream }));
+
+// Every /api route registered after this needs a user. Admin endpoints authenticate with
+// X-Admin-Token instead, so account management works before the first account exists, and
+// signed download links carry their own authorization.
+const authenticate = async (req, res, next) => {
+  if (req.path.startsWith('/admin/') || (req.path.startsWith('/download/') && DownloadLinks.isSigned(req.query))) {
+    return next();
   }
-});
 
-// Initialize Bull queue
-logger.info('Initializing Bull queue', { REDIS_URL });
-const videoQueue = new Bull('video processing', REDIS_URL);
+  try {
+    const user = await Authentication.identify(req.headers);
+    if (!user) {
+      logger.warn('Unauthenticated API request', { path: req.path, ip: req.ip });
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+};
 
-videoQueue.on('error', (error) => {
-  logger.logError(error, { component: 'Bull Queue', event: 'error' });
-});
+// Resolves the upload session once so multer and the route handler agree on it
+const resolveUploadSession = async (req, res, next) => {
+  const sessionId = req.headers['x-session-id'] || crypto.randomUUID();
 
-videoQueue.on('waiting', (jobId) => {
-  logger.debug('Job waiting in queue', { jobId, component: 'Bull Queue' });
-});
+  if (!SessionFiles.isValidSessionId(sessionId)) {
+    logger.warn('Invalid session id on upload', { sessionId, ip: req.ip });
+    return res.status(400).json({ error: 'Invalid session id' });
+  }
 
-videoQueue.on('active', (job) => {
-  logger.info('Job started processing', { jobId: job.id, component: 'Bull Queue' });
-});
+  try {
+    await SessionOwners.authorize(sessionId, req.user, { claim: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    return next(error);
+  }
 
-videoQueue.on('completed', (job, result) => {
-  logger.info('Job completed successfully', { 
-    jobId: job.id, 
-    outputFilename: result.outputFilename,
-    fileSize: result.fileSize,
-    component: 'Bull Queue' 
-  });
-});
+  req.sessionId = sessionId;
+  next();
+};
 
-videoQueue.on('failed', (job, error) => {
-  logger.error('Job failed', { 
-    jobId: job.id, 
-    error: error.message,
-    stack: error.stack,
-    component: 'Bull Queue' 
-  });
-});
+// Turns the upload away before multer writes anything when its declared size doesn't fit
+const checkUploadCapacity = async (req, res, next) => {
+  const declaredSize = parseInt(req.headers['content-length'], 10);
+  if (!declaredSize) {
+    return next();
+  }
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static('public'));
-app.use(morgan('combined', { stream: logger.stream }));
+  try {
+    await DiskSpace.check(UPLOAD_DIR, declaredSize);
+    next();
+  } catch (error) {
+    if (error.code === DiskSpace.CODE) {
+      logger.warn('Upload rejected: insufficient disk space', { sessionId: req.sessionId, declaredSize, ip: req.ip });
+      Metrics.uploadFailed(error);
+      // The body is left unread, so don't let the client keep streaming it into this connection
+      res.set('Connection', 'close');
+      return res.status(507).json(DiskSpace.describe(error));
+    }
+    next(error);
+  }
+};
 
 // Multer storage configuration
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const sessionId = req.headers['x-session-id'] || crypto.randomUUID();
+    const sessionId = req.sessionId;
     const sessionDir = path.join(UPLOAD_DIR, sessionId);
     if (!fs.existsSync(sessionDir)) {
       logger.debug('Creating session directory', { sessionId, sessionDir });
@@ -111,15 +165,14 @@ const storage = multer.diskStorage({
 });
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['.mp4', '.MP4', '.lrv', '.LRV', '.thm', '.THM'];
   const ext = path.extname(file.originalname).toLowerCase();
   
-  if (allowedTypes.includes(ext)) {
+  if (isAllowedUploadType(file.originalname)) {
     logger.debug('File type accepted', { filename: file.originalname, ext });
     cb(null, true);
   } else {
     logger.warn('File type rejected', { filename: file.originalname, ext });
-    cb(new Error(`File type ${ext} not supported`), false);
+    cb(httpError(400, `File type ${ext} not supported`, 'UNSUPPORTED_FILE_TYPE'), false);
   }
 };
 
@@ -129,248 +182,162 @@ const upload = multer({
   limits: { fileSize: MAX_FILE_SIZE, files: 50 }
 });
 
-// GoPro file parser
-class GoProFileDetector {
-  static parseGoProFilename(filename) {
-    const goProPattern = /^G([HX])(\d{2})(\d{4})\.(MP4|LRV|THM)$/i;
-    const match = filename.match(goProPattern);
-    
-    if (match) {
-      const parsed = {
-        encoding: match[1].toUpperCase(),
-        chapter: parseInt(match[2], 10),
-        sequence: parseInt(match[3], 10),
-        extension: match[4].toUpperCase(),
-        isGoPro: true
-      };
-      logger.debug('Parsed GoPro filename', { filename, parsed });
-      return parsed;
-    }
-    logger.debug('File is not a GoPro file', { filename });
-    return { isGoPro: false };
+// Runs multer and answers its rejections (file type, size and count limits) as JSON
+const receiveUploads = (req, res, next) => {
+  upload.array('files')(req, res, AsyncResource.bind((error) => {
+    if (!error) {
+      return next();
+    }
+
+    Metrics.uploadFailed(error);
+    if (error instanceof multer.MulterError) {
+      logger.warn('Upload rejected', { sessionId: req.sessionId, code: error.code, field: error.field, ip: req.ip });
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message, code: error.code });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }));
+};
+
+// Admin endpoints are only enabled when APP_SECRET is configured
+const requireAdmin = (req, res, next) => {
+  const token = req.headers['x-admin-token'] || '';
+
+  if (!APP_SECRET) {
+    logger.warn('Admin endpoint called but APP_SECRET is not configured', { path: req.path, ip: req.ip });
+    return res.status(403).json({ error: 'Admin endpoints are disabled' });
   }
-  
-  static groupFiles(files) {
-    logger.debug('Grouping files', { fileCount: files.length });
-    const groups = new Map();
-    
-    files.forEach(file => {
-      const parsed = this.parseGoProFilename(file.originalname);
-      
-      if (parsed.isGoPro && parsed.extension === 'MP4') {
-        const key = `${parsed.encoding}_${parsed.sequence}`;
-        
-        if (!groups.has(key)) {
-          logger.debug('Creating new group', { key, sequence: parsed.sequence, encoding: parsed.encoding });
-          groups.set(key, {
-            sequence: parsed.sequence,
-            encoding: parsed.encoding,
-            chapters: []
-          });
-        }
-        
-        groups.get(key).chapters.push({
-          chapter: parsed.chapter,
-          filename: file.filename,
-          originalname: file.originalname,
-          path: file.path,
-          size: file.size
-        });
-        logger.debug('Added file to group', { key, chapter: parsed.chapter, filename: file.originalname });
-      }
-    });
-    
-    groups.forEach(group => {
-      group.chapters.sort((a, b) => a.chapter - b.chapter);
-      logger.debug('Sorted group chapters', { 
-        sequence: group.sequence, 
-        encoding: group.encoding,
-        chapterCount: group.chapters.length 
-      });
-    });
-    
-    logger.info('File grouping complete', { groupCount: groups.size });
-    return Array.from(groups.values());
+
+  const expected = Buffer.from(APP_SECRET);
+  const provided = Buffer.from(token);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Admin authentication failed', { path: req.path, ip: req.ip });
+    return res.status(401).json({ error: 'Unauthorized' });
   }
-}
 
-// Video processing with FFmpeg
-class VideoProcessor {
-  static async concatenateVideos(inputFiles, outputPath, onProgress) {
-    logger.info('Starting video concatenation', { 
-      inputFileCount: inputFiles.length,
-      outputPath 
-    });
-    
-    return new Promise((resolve, reject) => {
-      const tempListFile = path.join(path.dirname(outputPath), `filelist_${Date.now()}.txt`);
-      
-      try {
-        const fileListContent = inputFiles
-          .map(file => `file '${file.replace(/'/g, "'\\''")}'`)
-          .join('\n');
-        
-        logger.debug('Writing FFmpeg filelist', { tempListFile, fileCount: inputFiles.length });
-        fs.writeFileSync(tempListFile, fileListContent);
-        
-        const ffmpegArgs = [
-          '-f', 'concat',
-          '-safe', '0',
-          '-i', tempListFile,
-          '-c', 'copy',
-          '-avoid_negative_ts', 'make_zero',
-          outputPath
-        ];
-        
-        logger.debug('Spawning FFmpeg process', { args: ffmpegArgs });
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
-        
-        let stderr = '';
-        
-        ffmpeg.stderr.on('data', (data) => {
-          stderr += data.toString();
-          logger.debug('FFmpeg output', { output: data.toString().trim() });
-          
-          const timeMatch = stderr.match(/time=([\d:.]+)/);
-          if (timeMatch && onProgress) {
-            logger.debug('FFmpeg progress', { time: timeMatch[1] });
-            onProgress({ time: timeMatch[1], stage: 'concatenating' });
-          }
-        });
-        
-        ffmpeg.on('close', (code) => {
-          logger.debug('FFmpeg process closed', { code });
-          
-          if (fs.existsSync(tempListFile)) {
-            fs.unlinkSync(tempListFile);
-            logger.debug('Cleaned up temp filelist', { tempListFile });
-          }
-          
-          if (code === 0) {
-            logger.info('Video concatenation successful', { outputPath });
-            resolve({ success: true, outputPath });
-          } else {
-            logger.error('FFmpeg failed', { code, stderr: stderr.substring(0, 500) });
-            reject(new Error(`FFmpeg failed with code ${code}`));
-          }
-        });
-        
-        ffmpeg.on('error', (error) => {
-          logger.logError(error, { component: 'FFmpeg', event: 'spawn error' });
-          if (fs.existsSync(tempListFile)) {
-            fs.unlinkSync(tempListFile);
-          }
-          reject(error);
-        });
-        
-      } catch (error) {
-        logger.logError(error, { component: 'VideoProcessor', method: 'concatenateVideos' });
-        if (fs.existsSync(tempListFile)) {
-          fs.unlinkSync(tempListFile);
-        }
-        reject(error);
-      }
-    });
+  next();
+};
+
+// Authentication
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
+  try {
+    if (AUTH_MODE !== 'local') {
+      return res.status(404).json({ error: `Login is not available in ${AUTH_MODE} auth mode` });
+    }
+
+    const session = await Accounts.login(username, password);
+    const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+    res.set('Set-Cookie', Authentication.cookie(session.token, session.maxAgeSeconds, secure));
+    res.json({ success: true, user: Authentication.principal(username, 'session'), token: session.token, expiresAt: session.expiresAt });
+
+  } catch (error) {
+    if (error.status) {
+      logger.warn('Login failed', { username, ip: req.ip, error: error.message });
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { endpoint: '/api/auth/login' });
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Process queue jobs
-videoQueue.process(async (job) => {
-  const { files, sessionId, groupId } = job.data;
-  
-  logger.info('Processing video job', { 
-    jobId: job.id,
-    sessionId, 
-    groupId, 
-    fileCount: files.length 
-  });
-  
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    await job.progress(10);
-    io.emit('job-progress', { sessionId, groupId, progress: 10, stage: 'preparing' });
-    
-    logger.debug('Verifying input files exist', { fileCount: files.length });
-    for (const file of files) {
-      if (!fs.existsSync(file.path)) {
-        logger.error('Input file not found', { path: file.path, sessionId, groupId });
-        throw new Error(`Input file not found: ${file.path}`);
-      }
-      logger.debug('Input file verified', { path: file.path, size: file.size });
+    const token = Authentication.tokenFrom(req.headers);
+    if (AUTH_MODE === 'local' && token) {
+      await Accounts.logout(token);
     }
-    
-    await job.progress(20);
-    
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputFilename = `GoPro_Merged_${groupId}_${timestamp}.mp4`;
-    const outputPath = path.join(OUTPUT_DIR, sessionId, outputFilename);
-    
-    logger.debug('Preparing output directory', { outputPath });
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-      logger.debug('Created output directory', { outputDir });
+    res.set('Set-Cookie', Authentication.cookie('', 0, false));
+    res.json({ success: true });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    await job.progress(30);
-    
-    const inputPaths = files.map(f => f.path);
-    logger.debug('Input files prepared', { inputPaths });
-    
-    await VideoProcessor.concatenateVideos(
-      inputPaths,
-      outputPath,
-      (progress) => {
-        const progressPercent = Math.min(30 + 60, 90);
-        job.progress(progressPercent);
-        logger.debug('Job progress update', { sessionId, groupId, progressPercent, time: progress.time });
-        io.emit('job-progress', {
-          sessionId,
-          groupId,
-          progress: progressPercent,
-          stage: 'processing',
-          time: progress.time
-        });
-      }
-    );
-    
-    await job.progress(100);
-    
-    const stats = fs.statSync(outputPath);
-    const result = {
-      success: true,
-      outputPath,
-      outputFilename,
-      fileSize: stats.size,
-      sessionId,
-      groupId
-    };
-    
-    logger.info('Job completed successfully', { 
-      jobId: job.id,
-      sessionId, 
-      groupId, 
-      outputFilename,
-      fileSize: stats.size 
-    });
-    
-    io.emit('job-complete', result);
-    return result;
-    
+    logger.logError(error, { endpoint: '/api/auth/logout' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.use('/api', authenticate);
+
+// Routes that put files into a session, and so may claim one nobody owns yet
+const SESSION_CREATING_ROUTES = new Set(['/api/sessions/:sessionId/uploads', '/api/sessions/:sessionId/imports']);
+
+// Sessions are checked against their owner for every route with a :sessionId; invalid ids are
+// left for the route to reject with a 400, and signed downloads (no user) to the download route
+app.param('sessionId', async (req, res, next, sessionId) => {
+  if (!SessionFiles.isValidSessionId(sessionId) || !req.user) {
+    return next();
+  }
+
+  try {
+    const claim = req.method === 'POST' && SESSION_CREATING_ROUTES.has(req.route.path);
+    await SessionOwners.authorize(sessionId, req.user, { claim });
+    next();
   } catch (error) {
-    logger.logError(error, { 
-      jobId: job.id,
-      sessionId, 
-      groupId,
-      component: 'videoQueue.process' 
-    });
-    io.emit('job-error', { sessionId, groupId, error: error.message });
-    throw error;
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ success: true, mode: AUTH_MODE, user: req.user });
+});
+
+app.get('/api/auth/tokens', async (req, res) => {
+  try {
+    const tokens = await Accounts.listApiTokens(req.user.username);
+    res.json({ success: true, tokens });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { username: req.user.username, endpoint: 'GET /api/auth/tokens' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API tokens authenticate scripts with `Authorization: Bearer <token>`; shown once, on creation
+app.post('/api/auth/tokens', async (req, res) => {
+  const { name } = req.body || {};
+
+  try {
+    if (AUTH_MODE !== 'local') {
+      return res.status(404).json({ error: `API tokens are not available in ${AUTH_MODE} auth mode` });
+    }
+    const token = await Accounts.createApiToken(req.user.username, name);
+    res.status(201).json({ success: true, ...token });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { username: req.user.username, endpoint: 'POST /api/auth/tokens' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', async (req, res) => {
+  try {
+    await Accounts.revokeApiToken(req.user.username, req.params.id);
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { username: req.user.username, endpoint: 'DELETE /api/auth/tokens/:id' });
+    res.status(500).json({ error: error.message });
   }
 });
 
 // API Routes
-app.post('/api/upload', upload.array('files'), async (req, res) => {
-  const sessionId = req.headers['x-session-id'] || crypto.randomUUID();
+app.post('/api/upload', resolveUploadSession, checkUploadCapacity, receiveUploads, async (req, res) => {
+  const sessionId = req.sessionId;
   
   logger.info('Upload request received', { 
     sessionId, 
@@ -383,13 +350,14 @@ app.post('/api/upload', upload.array('files'), async (req, res) => {
       logger.warn('No files uploaded', { sessionId });
       return res.status(400).json({ error: 'No files uploaded' });
     }
+    Metrics.uploadedBytes.inc({ method: 'multipart' }, req.files.reduce((sum, file) => sum + file.size, 0));
     
     logger.debug('Files uploaded', { 
       sessionId,
       files: req.files.map(f => ({ name: f.originalname, size: f.size }))
     });
     
-    const groups = GoProFileDetector.groupFiles(req.files);
+    const { groups } = await SessionGroups.refresh(sessionId);
     
     if (groups.length === 0) {
       logger.warn('No valid GoPro file groups detected', { sessionId, fileCount: req.files.length });
@@ -399,14 +367,7 @@ app.post('/api/upload', upload.array('files'), async (req, res) => {
     const responseData = {
       success: true,
       sessionId,
-      groups: groups.map((group, index) => ({
-        id: `group_${index}`,
-        sequence: group.sequence,
-        encoding: group.encoding,
-        chapters: group.chapters,
-        totalSize: group.chapters.reduce((sum, ch) => sum + ch.size, 0),
-        chapterCount: group.chapters.length
-      }))
+      groups: groups.map(group => SessionGroups.toPublic(group, sessionId))
     };
     
     logger.info('Upload successful', { 
@@ -418,54 +379,303 @@ app.post('/api/upload', upload.array('files'), async (req, res) => {
     res.json(responseData);
     
   } catch (error) {
+    Metrics.uploadFailed(error);
     logger.logError(error, { sessionId, endpoint: '/api/upload' });
     res.status(500).json({ error: error.message });
   }
 });
 
+app.post('/api/sessions/:sessionId/uploads', async (req, res) => {
+  const { sessionId } = req.params;
+  const { filename, size } = req.body || {};
+
+  logger.info('Chunked upload requested', { sessionId, filename, size, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const meta = await ChunkedUploads.create(sessionId, { filename, size });
+    res.status(meta.offset === 0 ? 201 : 200).json({ success: true, ...ChunkedUploads.describe(meta) });
+
+  } catch (error) {
+    Metrics.uploadFailed(error);
+    if (error.code === DiskSpace.CODE) {
+      logger.warn('Rejected chunked upload: insufficient disk space', { sessionId, filename, size });
+      return res.status(507).json(DiskSpace.describe(error));
+    }
+    if (error.status) {
+      logger.warn('Rejected chunked upload', { sessionId, filename, error: error.message });
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { sessionId, endpoint: '/api/sessions/:sessionId/uploads' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/uploads/:uploadId', (req, res) => {
+  const { sessionId, uploadId } = req.params;
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const meta = ChunkedUploads.load(sessionId, uploadId);
+    res.json({ success: true, ...ChunkedUploads.describe(meta) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { sessionId, uploadId, endpoint: '/api/sessions/:sessionId/uploads/:uploadId' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch(
+  '/api/sessions/:sessionId/uploads/:uploadId',
+  keepContext(express.raw({ type: 'application/offset+octet-stream', limit: UPLOAD_CHUNK_SIZE })),
+  async (req, res) => {
+    const { sessionId, uploadId } = req.params;
+    const offset = parseInt(req.headers['upload-offset'], 10);
+    const checksum = req.headers['x-chunk-checksum'];
+
+    logger.debug('Upload chunk received', { sessionId, uploadId, offset, length: req.body?.length });
+
+    try {
+      if (!SessionFiles.isValidSessionId(sessionId)) {
+        logger.warn('Invalid session id', { sessionId });
+        return res.status(400).json({ error: 'Invalid session id' });
+      }
+      if (!Number.isSafeInteger(offset)) {
+        return res.status(400).json({ error: 'Missing Upload-Offset header' });
+      }
+
+      const meta = ChunkedUploads.appendChunk(sessionId, uploadId, offset, req.body, checksum);
+      Metrics.uploadedBytes.inc({ method: 'chunked' }, req.body.length);
+
+      if (meta.offset < meta.size) {
+        return res.json({ success: true, ...ChunkedUploads.describe(meta) });
+      }
+
+      // Final chunk: move the file into place and rerun GoPro detection for the session
+      ChunkedUploads.finalize(meta);
+      const { groups } = await SessionGroups.refresh(sessionId);
+
+      res.json({
+        success: true,
+        ...ChunkedUploads.describe(meta),
+        groups: groups.map(group => SessionGroups.toPublic(group, sessionId))
+      });
+
+    } catch (error) {
+      Metrics.uploadFailed(error);
+      if (error.code === DiskSpace.CODE) {
+        logger.warn('Rejected upload chunk: disk full', { sessionId, uploadId, offset });
+        return res.status(507).json(DiskSpace.describe(error));
+      }
+      if (error.status) {
+        logger.warn('Rejected upload chunk', { sessionId, uploadId, offset, error: error.message });
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.logError(error, { sessionId, uploadId, endpoint: 'PATCH /api/sessions/:sessionId/uploads/:uploadId' });
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.get('/api/imports', (req, res) => {
+  res.json({ success: true, roots: ImportRoots.list() });
+});
+
+app.get('/api/imports/:root', (req, res) => {
+  const { root } = req.params;
+  const relativePath = req.query.path || '';
+
+  logger.debug('Import browse request', { root, relativePath, ip: req.ip });
+
+  try {
+    res.json({ success: true, ...ImportRoots.browse(root, relativePath) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { root, relativePath, endpoint: '/api/imports/:root' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/imports/:root/scan', (req, res) => {
+  const { root } = req.params;
+  const relativePath = req.query.path || '';
+
+  logger.info('Import scan request', { root, relativePath, ip: req.ip });
+
+  try {
+    const groups = GoProFileDetector.groupFiles(ImportRoots.scanFiles(root, relativePath)).map(group => ({
+      id: SessionGroups.groupId(group),
+      scheme: group.scheme,
+      sequence: group.sequence,
+      encoding: group.encoding,
+      extension: group.extension,
+      chapters: group.chapters.map(chapter => ({
+        chapter: chapter.chapter,
+        filename: chapter.filename,
+        size: chapter.size,
+        hasProxy: Boolean(chapter.proxy),
+        hasThumbnail: Boolean(chapter.thumbnail)
+      })),
+      totalSize: group.chapters.reduce((sum, ch) => sum + ch.size, 0),
+      chapterCount: group.chapters.length
+    }));
+
+    res.json({ success: true, root, path: relativePath, groups });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { root, relativePath, endpoint: '/api/imports/:root/scan' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// References a folder's GoPro files in place; grouping and processing then work as for uploads
+app.post('/api/sessions/:sessionId/imports', async (req, res) => {
+  const { sessionId } = req.params;
+  const { root, path: relativePath = '', files } = req.body || {};
+
+  logger.info('Import request received', { sessionId, root, relativePath, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+    if (typeof root !== 'string' || (files !== undefined && (!Array.isArray(files) || files.length === 0))) {
+      return res.status(400).json({ error: 'Invalid import request' });
+    }
+
+    let found = ImportRoots.scanFiles(root, relativePath)
+      .filter(file => GoProFileDetector.parseGoProFilename(file.filename).isGoPro);
+    if (files !== undefined) {
+      const wanted = new Set(files);
+      found = found.filter(file => wanted.has(file.filename));
+    }
+    if (found.length === 0) {
+      logger.warn('No GoPro files to import', { sessionId, root, relativePath });
+      return res.status(400).json({ error: 'No GoPro files found in that folder' });
+    }
+
+    const added = SessionImports.add(sessionId, root, found);
+    const { groups } = await SessionGroups.refresh(sessionId);
+
+    logger.info('Import successful', { sessionId, root, relativePath, added, groupCount: groups.length });
+    res.json({
+      success: true,
+      sessionId,
+      imported: added,
+      groups: groups.map(group => SessionGroups.toPublic(group, sessionId))
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { sessionId, root, endpoint: '/api/sessions/:sessionId/imports' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/profiles', (req, res) => {
+  res.json({ success: true, profiles: OutputProfiles.list() });
+});
+
 app.post('/api/process', async (req, res) => {
-  const { sessionId, groups } = req.body;
+  const { sessionId, groups, preview = false, label = '' } = req.body;
   
   logger.info('Process request received', { 
     sessionId, 
     groupCount: groups?.length || 0,
+    preview,
     ip: req.ip 
   });
   
   try {
-    if (!sessionId || !groups || !Array.isArray(groups)) {
+    if (!SessionFiles.isValidSessionId(sessionId) || !Array.isArray(groups) || groups.length === 0 || typeof preview !== 'boolean') {
       logger.warn('Invalid process request data', { sessionId, hasGroups: !!groups });
       return res.status(400).json({ error: 'Invalid request data' });
     }
+    if (typeof label !== 'string' || label.length > 100) {
+      logger.warn('Invalid session label', { sessionId });
+      return res.status(400).json({ error: 'Label must be a string of at most 100 characters' });
+    }
+    await SessionOwners.authorize(sessionId, req.user);
     
+    // Resolve every selection before queuing anything so one bad group rejects the whole request
+    const resolvedGroups = groups.map(selection => SessionGroups.resolveSelection(sessionId, selection, { preview }));
+    const requiredBytes = resolvedGroups.reduce(
+      (sum, group) => sum + DiskSpace.estimateJob({ files: group.chapters, preview, clips: group.clips }),
+      0
+    );
+    await DiskSpace.check(OUTPUT_DIR, requiredBytes);
     const jobs = [];
     
-    for (const group of groups) {
+    for (const group of resolvedGroups) {
       logger.debug('Adding job to queue', { 
         sessionId, 
         groupId: group.id, 
-        chapterCount: group.chapters?.length 
+        chapterCount: group.chapters.length 
       });
       
-      const job = await videoQueue.add('concatenate', {
+      const { job, duplicate } = await SessionJobs.add({
         files: group.chapters,
         sessionId,
-        groupId: group.id
+        groupId: group.id,
+        extension: group.extension,
+        profile: group.profile,
+        clips: group.clips,
+        precise: group.precise,
+        preview,
+        label,
+        requestId: req.id,
+        outputName: OutputNames.forJob(
+          OUTPUT_FILENAME_TEMPLATE,
+          OutputNames.groupFields(group, group.chapters, { label, profile: group.profile })
+        )
       });
       
       jobs.push({
         id: job.id,
         groupId: group.id,
-        status: 'queued'
+        profile: group.profile,
+        clipCount: group.clips ? group.clips.length : 0,
+        status: 'queued',
+        duplicate
       });
       
-      logger.info('Job queued', { jobId: job.id, sessionId, groupId: group.id });
+      if (duplicate) {
+        logger.info('Group already has a live job, not queuing another', { jobId: job.id, sessionId, groupId: group.id });
+      } else {
+        logger.info('Job queued', { jobId: job.id, sessionId, groupId: group.id, profile: group.profile });
+      }
     }
     
     logger.info('All jobs queued successfully', { sessionId, jobCount: jobs.length });
     res.json({ success: true, jobs });
     
   } catch (error) {
+    if (error.code === DiskSpace.CODE) {
+      logger.warn('Rejected process request: insufficient disk space', { sessionId, requiredBytes: error.requiredBytes });
+      return res.status(507).json(DiskSpace.describe(error));
+    }
+    if (error.status) {
+      logger.warn('Rejected process request', { sessionId, error: error.message });
+      return res.status(error.status).json({ error: error.message });
+    }
     logger.logError(error, { sessionId, endpoint: '/api/process' });
     res.status(500).json({ error: error.message });
   }
@@ -473,13 +683,23 @@ app.post('/api/process', async (req, res) => {
 
 app.get('/api/download/:sessionId/:filename', (req, res) => {
   const { sessionId, filename } = req.params;
-  const filePath = path.join(OUTPUT_DIR, sessionId, filename);
   
-  logger.info('Download request', { sessionId, filename, ip: req.ip });
+  logger.info('Download request', { sessionId, filename, signed: !req.user, range: req.headers.range, ip: req.ip });
   
   try {
-    if (!fs.existsSync(filePath)) {
-      logger.warn('Download file not found', { sessionId, filename, filePath });
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    if (!req.user && !DownloadLinks.verify(sessionId, filename, req.query)) {
+      logger.warn('Rejected download link', { sessionId, filename, expires: req.query.expires, ip: req.ip });
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const filePath = SessionFiles.resolveOutput(sessionId, filename);
+    if (!filePath || !fs.existsSync(filePath)) {
+      logger.warn('Download file not found', { sessionId, filename });
       return res.status(404).json({ error: 'File not found' });
     }
     
@@ -490,7 +710,30 @@ app.get('/api/download/:sessionId/:filename', (req, res) => {
       fileSize: stats.size 
     });
     
-    res.download(filePath, filename);
+    // send answers Range (206/416), If-Range, If-None-Match and If-Modified-Since from the file's
+    // size and mtime, so downloads resume and <video> can seek. Outputs are renamed into place
+    // when complete, so a re-run merge gets a new ETag. Private: links may be shared, caches not.
+    res.attachment(filename);
+    res.sendFile(filePath, {
+      acceptRanges: true,
+      etag: true,
+      lastModified: true,
+      cacheControl: false,
+      // resolveOutput already refused hidden names; this only stops a dotted OUTPUT_DIR from 404ing
+      dotfiles: 'allow',
+      headers: { 'Cache-Control': 'private, no-cache' }
+    }, (error) => {
+      if (!error) {
+        return;
+      }
+      if (res.headersSent) {
+        // Players routinely drop range requests mid-body when seeking
+        logger.debug('Download interrupted', { sessionId, filename, error: error.message });
+        return;
+      }
+      logger.logError(error, { sessionId, filename, endpoint: '/api/download' });
+      res.status(error.status || 500).json({ error: error.message });
+    });
     
   } catch (error) {
     logger.logError(error, { sessionId, filename, endpoint: '/api/download' });
@@ -498,31 +741,495 @@ app.get('/api/download/:sessionId/:filename', (req, res) => {
   }
 });
 
-app.get('/health', (req, res) => {
+app.get('/api/files/:sessionId', (req, res) => {
+  const { sessionId } = req.params;
+
+  logger.debug('File listing request', { sessionId, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const files = SessionFiles.listOutputs(sessionId);
+    const uploads = SessionFiles.listUploads(sessionId);
+
+    logger.debug('Session files listed', {
+      sessionId,
+      outputCount: files.length,
+      uploadCount: uploads.length
+    });
+
+    res.json({ success: true, sessionId, files, uploads });
+
+  } catch (error) {
+    logger.logError(error, { sessionId, endpoint: '/api/files' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A signed link to one output that works without logging in until it expires
+app.post('/api/files/:sessionId/:filename/links', (req, res) => {
+  const { sessionId, filename } = req.params;
+  const { expiresInHours } = req.body || {};
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const filePath = SessionFiles.resolveOutput(sessionId, filename);
+    if (!filePath || !fs.existsSync(filePath)) {
+      logger.warn('Output file not found for download link', { sessionId, filename });
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const link = DownloadLinks.create(sessionId, filename, expiresInHours);
+    logger.info('Download link created', { sessionId, filename, username: req.user.username, expiresAt: link.expiresAt });
+    res.status(201).json({ success: true, sessionId, filename, ...link });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { sessionId, filename, endpoint: '/api/files/:sessionId/:filename/links' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/files/:sessionId/:filename', (req, res) => {
+  const { sessionId, filename } = req.params;
+
+  logger.info('Delete output request', { sessionId, filename, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    if (!SessionFiles.deleteOutput(sessionId, filename)) {
+      logger.warn('Output file not found for deletion', { sessionId, filename });
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({ success: true, sessionId, filename });
+
+  } catch (error) {
+    logger.logError(error, { sessionId, filename, endpoint: '/api/files' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/sessions/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+
+  logger.info('Delete session request', { sessionId, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    // Deleting the files under a running or queued merge would only fail it later
+    const liveJobs = (await SessionJobs.list(sessionId)).filter(job => SessionJobs.LIVE_STATES.includes(job.state));
+    if (liveJobs.length > 0) {
+      logger.warn('Cannot delete session with live jobs', { sessionId, jobIds: liveJobs.map(job => job.id) });
+      return res.status(409).json({ error: 'Session has queued or running jobs; cancel them first', jobIds: liveJobs.map(job => job.id) });
+    }
+
+    if (!SessionFiles.deleteSession(sessionId)) {
+      logger.warn('Session not found for deletion', { sessionId });
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    await SessionJobs.forget(sessionId);
+    await SessionOwners.release(sessionId);
+
+    res.json({ success: true, sessionId });
+
+  } catch (error) {
+    logger.logError(error, { sessionId, endpoint: '/api/sessions' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/groups', (req, res) => {
+  const { sessionId } = req.params;
+
+  logger.debug('Session groups request', { sessionId, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const manifest = SessionGroups.load(sessionId);
+    const groups = manifest ? manifest.groups.map(group => SessionGroups.toPublic(group, sessionId)) : [];
+    res.json({ success: true, sessionId, groups });
+
+  } catch (error) {
+    logger.logError(error, { sessionId, endpoint: '/api/sessions/:sessionId/groups' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/chapters/:chapterId/thumbnail', (req, res) => {
+  const { sessionId, chapterId } = req.params;
+
+  logger.debug('Thumbnail request', { sessionId, chapterId, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const thumbnailPath = SessionGroups.resolveThumbnail(sessionId, chapterId);
+    if (!thumbnailPath) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    // THM files are plain JPEGs with a GoPro extension
+    res.type('image/jpeg');
+    res.sendFile(path.resolve(thumbnailPath));
+
+  } catch (error) {
+    logger.logError(error, { sessionId, chapterId, endpoint: '/api/sessions/:sessionId/chapters/:chapterId/thumbnail' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug('Job status request', { jobId: id, ip: req.ip });
+
+  try {
+    const job = await videoQueue.getJob(id);
+    if (!job) {
+      logger.warn('Job not found', { jobId: id });
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await SessionOwners.authorize(job.data.sessionId, req.user);
+
+    res.json({ success: true, job: await SessionJobs.serialize(job) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { jobId: id, endpoint: '/api/jobs' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full ffmpeg stderr of every attempt, for failures the one-line job error doesn't explain
+app.get('/api/jobs/:id/log', async (req, res) => {
+  const { id } = req.params;
+
+  logger.debug('Job log request', { jobId: id, ip: req.ip });
+
+  try {
+    const job = await videoQueue.getJob(id);
+    if (!job) {
+      logger.warn('Job not found', { jobId: id });
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await SessionOwners.authorize(job.data.sessionId, req.user);
+
+    const logPath = JobLogs.path(job);
+    if (!fs.existsSync(logPath)) {
+      return res.status(404).json({ error: 'Job has no log yet' });
+    }
+
+    res.type('text/plain');
+    res.sendFile(path.resolve(logPath), { dotfiles: 'allow', headers: { 'Cache-Control': 'no-store' } }, (error) => {
+      if (error && !res.headersSent) {
+        logger.logError(error, { jobId: id, endpoint: '/api/jobs/:id/log' });
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { jobId: id, endpoint: '/api/jobs/:id/log' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/sessions/:sessionId/jobs', async (req, res) => {
+  const { sessionId } = req.params;
+
+  logger.debug('Session jobs request', { sessionId, ip: req.ip });
+
+  try {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Invalid session id', { sessionId });
+      return res.status(400).json({ error: 'Invalid session id' });
+    }
+
+    const jobs = await SessionJobs.list(sessionId);
+    res.json({ success: true, sessionId, jobs });
+
+  } catch (error) {
+    logger.logError(error, { sessionId, endpoint: '/api/sessions/:sessionId/jobs' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('Job cancellation request', { jobId: id, ip: req.ip });
+
+  try {
+    const job = await videoQueue.getJob(id);
+    if (!job) {
+      logger.warn('Job not found', { jobId: id });
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await SessionOwners.authorize(job.data.sessionId, req.user);
+
+    const { sessionId, groupId } = job.data;
+    const state = await job.getState();
+
+    if (state === 'active') {
+      await JobCancellation.request(job.id);
+      return res.status(202).json({ success: true, jobId: job.id, state: 'cancelling' });
+    }
+
+    if (state === 'completed' || state === 'failed') {
+      logger.warn('Cannot cancel finished job', { jobId: job.id, state });
+      return res.status(409).json({ error: `Job is already ${state}` });
+    }
+
+    await job.remove();
+    logger.info('Removed queued job', { jobId: job.id, sessionId, groupId, state });
+    JobEvents.publish(sessionId, 'job-cancelled', { jobId: job.id, sessionId, groupId });
+    res.json({ success: true, jobId: job.id, state: 'cancelled' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { jobId: id, endpoint: '/api/jobs' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('Job retry request', { jobId: id, ip: req.ip });
+
+  try {
+    const job = await videoQueue.getJob(id);
+    if (!job) {
+      logger.warn('Job not found', { jobId: id });
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await SessionOwners.authorize(job.data.sessionId, req.user);
+
+    const state = await job.getState();
+    if (state !== 'failed') {
+      logger.warn('Cannot retry job that has not failed', { jobId: job.id, state });
+      return res.status(409).json({ error: `Only failed jobs can be retried (job is ${state})` });
+    }
+
+    await job.retry();
+    logger.info('Job requeued for retry', { jobId: job.id, sessionId: job.data.sessionId, groupId: job.data.groupId });
+    res.json({ success: true, job: await SessionJobs.serialize(job) });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { jobId: id, endpoint: '/api/jobs/:id/retry' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/cleanup', requireAdmin, async (req, res) => {
+  const dryRun = req.query.dryRun !== undefined
+    ? req.query.dryRun === 'true'
+    : RETENTION_DRY_RUN;
+
+  logger.info('Manual retention sweep requested', { dryRun, ip: req.ip });
+
+  try {
+    const report = await RetentionSweeper.sweep({ dryRun, trigger: 'admin' });
+
+    if (!report) {
+      return res.status(409).json({ error: 'Retention sweep could not run (already running or queue unavailable)' });
+    }
+
+    res.json({ success: true, ...report });
+
+  } catch (error) {
+    logger.logError(error, { endpoint: '/api/admin/cleanup' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Account management for local mode. Admin users are named in AUTH_ADMIN_USERS; creating the
+// first account has to go through APP_SECRET since nobody can log in yet.
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+  const { username, password } = req.body || {};
+
+  logger.info('Account create/reset requested', { username, ip: req.ip });
+
+  try {
+    const account = await Accounts.setPassword(username, password);
+    res.status(account.created ? 201 : 200).json({ success: true, ...account });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { username, endpoint: '/api/admin/users' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/users/:username', requireAdmin, async (req, res) => {
+  const { username } = req.params;
+
+  logger.info('Account deletion requested', { username, ip: req.ip });
+
+  try {
+    await Accounts.deleteUser(username);
+    res.json({ success: true, username });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.logError(error, { username, endpoint: '/api/admin/users/:username' });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Liveness: the event loop answers. Nothing external, so a Redis outage doesn't restart every pod.
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', timestamp: new Date().toISOString(), uptime: process.uptime() });
+});
+
+// Readiness: Redis, ffmpeg/ffprobe and writable storage, and not shutting down
+app.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, failing, checks } = await HealthChecks.ready();
+    if (!ready) {
+      logger.warn('Readiness check failed', { failing });
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', failing, checks });
+  } catch (error) {
+    logger.logError(error, { endpoint: '/health/ready' });
+    res.status(503).json({ status: 'not ready', error: error.message });
+  }
+});
+
+app.get('/health', async (req, res) => {
+  let health;
+  try {
+    health = await HealthChecks.ready();
+  } catch (error) {
+    logger.logError(error, { endpoint: '/health' });
+    return res.status(503).json({ status: 'unhealthy', error: error.message, timestamp: new Date().toISOString() });
+  }
+
+  const { ready, failing, checks } = health;
   const healthData = { 
-    status: 'healthy', 
+    status: ready ? 'healthy' : 'unhealthy', 
+    failing,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    checks
   };
+
+  try {
+    healthData.disk = await DiskSpace.report();
+  } catch (error) {
+    logger.logError(error, { endpoint: '/health', component: 'DiskSpace' });
+    healthData.disk = { error: error.message };
+  }
   
   logger.debug('Health check', healthData);
-  res.json(healthData);
+  res.status(ready ? 200 : 503).json(healthData);
+});
+
+// Prometheus scrape endpoint, unauthenticated like /health; keep it off the public ingress
+app.get('/metrics', async (req, res) => {
+  if (!PROMETHEUS_ENABLED) {
+    return res.status(404).json({ error: 'Metrics are disabled' });
+  }
+
+  try {
+    res.set('Content-Type', Metrics.registry.contentType);
+    res.send(await Metrics.render());
+  } catch (error) {
+    logger.logError(error, { endpoint: '/metrics' });
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // WebSocket
+io.use(async (socket, next) => {
+  try {
+    const user = await Authentication.identify(socket.handshake.headers, socket.handshake.auth);
+    if (!user) {
+      logger.warn('Rejected unauthenticated WebSocket connection', { ip: socket.handshake.address });
+      return next(new Error('Authentication required'));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 io.on('connection', (socket) => {
+  Metrics.socketConnections.inc();
   logger.info('WebSocket client connected', { 
     socketId: socket.id, 
     ip: socket.handshake.address 
   });
   
-  socket.on('join-session', (sessionId) => {
+  socket.on('join-session', async (sessionId) => {
+    if (!SessionFiles.isValidSessionId(sessionId)) {
+      logger.warn('Rejected join for invalid session id', { socketId: socket.id, sessionId });
+      return;
+    }
+
+    try {
+      await SessionOwners.authorize(sessionId, socket.data.user);
+    } catch (error) {
+      logger.warn('Rejected join for session', { socketId: socket.id, sessionId, error: error.message });
+      socket.emit('session-error', { sessionId, error: error.message });
+      return;
+    }
+
     socket.join(sessionId);
     logger.info('Client joined session', { socketId: socket.id, sessionId });
+
+    // Replay current job state so late joiners and reconnects don't show an empty queue
+    try {
+      const jobs = await SessionJobs.list(sessionId);
+      socket.emit('session-state', { sessionId, jobs });
+      logger.debug('Replayed session state', { socketId: socket.id, sessionId, jobCount: jobs.length });
+    } catch (error) {
+      logger.logError(error, { socketId: socket.id, sessionId, component: 'WebSocket', event: 'join-session' });
+    }
   });
   
   socket.on('disconnect', () => {
+    Metrics.socketConnections.dec();
     logger.info('WebSocket client disconnected', { socketId: socket.id });
   });
   
@@ -532,16 +1239,43 @@ io.on('connection', (socket) => {
 });
 
 // Start server
+Authentication.startupCheck();
 server.listen(PORT, '0.0.0.0', () => {
   logger.info('Server started successfully', {
     port: PORT,
     uploadDir: UPLOAD_DIR,
     outputDir: OUTPUT_DIR,
     redisUrl: REDIS_URL,
+    apiOnly: API_ONLY,
     nodeVersion: process.version,
     platform: process.platform
   });
   logger.info(`GoPro Video Processor running on port ${PORT}`);
+  OutputNames.checkTemplate('OUTPUT_FILENAME_TEMPLATE', OUTPUT_FILENAME_TEMPLATE);
+  JobEvents.listen(io);
+  if (!API_ONLY) {
+    startWorker();
+  }
+});
+
+// Readiness fails first and the listener stays open until the pod has left the Service, then
+// in-flight requests (uploads included) finish while the in-process worker, if any, drains its jobs
+Shutdown.install(async (deadline) => {
+  const drainRequests = Shutdown.leaveService(deadline, 5000).then(() => {
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections();
+    // Clients reconnect to another pod, which replays the session state on join-session
+    io.disconnectSockets(true);
+
+    return withTimeout(closed, Shutdown.remaining(deadline, 3000), 'In-flight requests did not finish')
+      .catch(error => {
+        logger.warn('Closing remaining connections', { error: error.message });
+        server.closeAllConnections();
+      });
+  });
+  // The worker stops taking jobs right away; only HTTP waits for the pod to leave the Service
+  await Promise.all([drainRequests, API_ONLY ? null : stopWorker(deadline)]);
+  await Shutdown.closeQueue();
 });
 
 module.exports = app;
@@ -0,0 +1,654 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { UPLOAD_DIR, OUTPUT_DIR, MAX_FILE_SIZE, UPLOAD_CHUNK_SIZE, IMPORT_ROOTS } = require('./config');
+const { GoProFileDetector, isAllowedUploadType } = require('./detector');
+const { OutputProfiles, ChapterValidator, ChapterMetadata, ClipRanges } = require('./video');
+const { DiskSpace } = require('./storage');
+
+// Session file management
+class SessionFiles {
+  static isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(sessionId);
+  }
+
+  static uploadDir(sessionId) {
+    return path.join(UPLOAD_DIR, sessionId);
+  }
+
+  static outputDir(sessionId) {
+    return path.join(OUTPUT_DIR, sessionId);
+  }
+
+  static listDir(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.debug('Session directory does not exist', { dir });
+      return [];
+    }
+
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('filelist_') && !entry.name.startsWith('.'))
+      .map(entry => {
+        const stats = fs.statSync(path.join(dir, entry.name));
+        return {
+          filename: entry.name,
+          size: stats.size,
+          created: stats.birthtime.toISOString(),
+          modified: stats.mtime.toISOString()
+        };
+      })
+      .sort((a, b) => a.created.localeCompare(b.created));
+  }
+
+  static listOutputs(sessionId) {
+    return this.listDir(this.outputDir(sessionId)).map(file => ({
+      ...file,
+      downloadUrl: `/api/download/${encodeURIComponent(sessionId)}/${encodeURIComponent(file.filename)}`
+    }));
+  }
+
+  static listUploads(sessionId) {
+    return this.listDir(this.uploadDir(sessionId)).map(file => {
+      const parsed = GoProFileDetector.parseGoProFilename(file.filename);
+      return {
+        ...file,
+        isGoPro: parsed.isGoPro,
+        encoding: parsed.encoding,
+        chapter: parsed.chapter,
+        sequence: parsed.sequence,
+        extension: parsed.extension
+      };
+    });
+  }
+
+  // Only plain files directly inside the session's output directory: no traversal, no hidden
+  // partials or concat lists, and no symlinks pointing out of it
+  static resolveOutput(sessionId, filename) {
+    if (typeof filename !== 'string' || filename.startsWith('.') || filename.startsWith('filelist_')) {
+      return null;
+    }
+    const outputDir = path.resolve(this.outputDir(sessionId));
+    const filePath = path.resolve(outputDir, filename);
+    if (path.dirname(filePath) !== outputDir) {
+      return null;
+    }
+    if (fs.existsSync(filePath) && path.dirname(fs.realpathSync(filePath)) !== fs.realpathSync(outputDir)) {
+      logger.warn('Output path escapes its session directory', { sessionId, filename });
+      return null;
+    }
+    return filePath;
+  }
+
+  static deleteOutput(sessionId, filename) {
+    const filePath = this.resolveOutput(sessionId, filename);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return false;
+    }
+    fs.unlinkSync(filePath);
+    logger.info('Deleted output file', { sessionId, filename });
+    return true;
+  }
+
+  static deleteSession(sessionId) {
+    let removed = false;
+    [this.uploadDir(sessionId), this.outputDir(sessionId)].forEach(dir => {
+      if (fs.existsSync(dir)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+        logger.info('Deleted session directory', { sessionId, dir });
+        removed = true;
+      }
+    });
+    return removed;
+  }
+
+  static listSessionIds() {
+    const ids = new Set();
+    [UPLOAD_DIR, OUTPUT_DIR].forEach(root => {
+      if (!fs.existsSync(root)) return;
+      fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && this.isValidSessionId(entry.name))
+        .forEach(entry => ids.add(entry.name));
+    });
+    return Array.from(ids);
+  }
+
+  static getSessionUsage(sessionId) {
+    let lastActivity = 0;
+    let totalSize = 0;
+
+    [this.uploadDir(sessionId), this.outputDir(sessionId)].forEach(dir => {
+      if (!fs.existsSync(dir)) return;
+      lastActivity = Math.max(lastActivity, fs.statSync(dir).mtimeMs);
+      fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .forEach(entry => {
+          const stats = fs.statSync(path.join(dir, entry.name));
+          lastActivity = Math.max(lastActivity, stats.mtimeMs);
+          totalSize += stats.size;
+        });
+    });
+
+    return { lastActivity, totalSize };
+  }
+}
+
+// Folders the server can read footage from in place, e.g. NAS mounts or SD card dumps
+class ImportRoots {
+  static list() {
+    return IMPORT_ROOTS.map(root => ({ name: root.name, available: fs.existsSync(root.path) }));
+  }
+
+  static find(name) {
+    const root = IMPORT_ROOTS.find(r => r.name === name);
+    if (!root) {
+      throw httpError(404, `Unknown import root: ${name}`);
+    }
+    return root;
+  }
+
+  static isWithin(dir, target) {
+    return target === dir || target.startsWith(dir + path.sep);
+  }
+
+  // Resolves a path relative to a root. Symlinks are followed before the containment
+  // check so a link inside the share cannot point the server elsewhere.
+  static resolve(name, relativePath = '') {
+    const root = this.find(name);
+    if (typeof relativePath !== 'string') {
+      throw httpError(400, 'Import path must be a string');
+    }
+
+    let rootPath;
+    try {
+      rootPath = fs.realpathSync(root.path);
+    } catch (error) {
+      throw httpError(404, `Import root ${name} is not mounted`);
+    }
+
+    let target;
+    try {
+      target = fs.realpathSync(path.join(rootPath, path.normalize(`/${relativePath}`)));
+    } catch (error) {
+      throw httpError(404, `Not found in ${name}: ${relativePath}`);
+    }
+
+    if (!this.isWithin(rootPath, target)) {
+      logger.warn('Rejected path outside import root', { root: name, relativePath, target });
+      throw httpError(400, 'Path is outside the import root');
+    }
+    return { root, target, relativePath: path.relative(rootPath, target) };
+  }
+
+  static resolveDirectory(name, relativePath) {
+    const resolved = this.resolve(name, relativePath);
+    if (!fs.statSync(resolved.target).isDirectory()) {
+      throw httpError(400, `Not a directory: ${relativePath}`);
+    }
+    return resolved;
+  }
+
+  static contains(filePath) {
+    let target;
+    try {
+      target = fs.realpathSync(filePath);
+    } catch (error) {
+      return false;
+    }
+    return IMPORT_ROOTS.some(root => {
+      try {
+        return this.isWithin(fs.realpathSync(root.path), target);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  static browse(name, relativePath) {
+    const { target, relativePath: current } = this.resolveDirectory(name, relativePath);
+    const directories = [];
+    const files = [];
+
+    fs.readdirSync(target, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.'))
+      .forEach(entry => {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) {
+          directories.push({ name: entry.name, path: entryPath });
+        } else if (entry.isFile() && isAllowedUploadType(entry.name)) {
+          const stats = fs.statSync(path.join(target, entry.name));
+          const parsed = GoProFileDetector.parseGoProFilename(entry.name);
+          files.push({
+            name: entry.name,
+            path: entryPath,
+            size: stats.size,
+            modified: stats.mtime.toISOString(),
+            isGoPro: parsed.isGoPro,
+            role: parsed.role || null
+          });
+        }
+      });
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return {
+      root: name,
+      path: current,
+      parent: current ? path.dirname(current).replace(/^\.$/, '') : null,
+      directories: directories.sort(byName),
+      files: files.sort(byName)
+    };
+  }
+
+  // Files directly inside a folder, shaped like multer's so GoProFileDetector can group them
+  static scanFiles(name, relativePath) {
+    const { target } = this.resolveDirectory(name, relativePath);
+    return fs.readdirSync(target, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.') && isAllowedUploadType(entry.name))
+      .map(entry => {
+        const filePath = path.join(target, entry.name);
+        return {
+          originalname: entry.name,
+          filename: entry.name,
+          path: filePath,
+          size: fs.statSync(filePath).size
+        };
+      });
+  }
+}
+
+// Files a session references in place under an import root, instead of holding a copy
+class SessionImports {
+  static manifestPath(sessionId) {
+    return path.join(SessionFiles.uploadDir(sessionId), '.imports.json');
+  }
+
+  static load(sessionId) {
+    const manifestPath = this.manifestPath(sessionId);
+    if (!fs.existsSync(manifestPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).files;
+  }
+
+  static add(sessionId, rootName, files) {
+    const existing = this.load(sessionId);
+    const known = new Set(existing.map(file => file.path));
+    const added = files
+      .filter(file => !known.has(file.path))
+      .map(file => ({ root: rootName, filename: file.filename, path: file.path }));
+
+    fs.mkdirSync(SessionFiles.uploadDir(sessionId), { recursive: true });
+    fs.writeFileSync(this.manifestPath(sessionId), JSON.stringify({ sessionId, files: [...existing, ...added] }, null, 2));
+    logger.info('Referenced imported files', { sessionId, root: rootName, added: added.length, total: existing.length + added.length });
+    return added.length;
+  }
+
+  // Sizes are read fresh so a file that changed on the share gets re-probed
+  static listFiles(sessionId) {
+    return this.load(sessionId)
+      .filter(file => {
+        if (ImportRoots.contains(file.path)) {
+          return true;
+        }
+        logger.warn('Imported file is no longer available', { sessionId, path: file.path });
+        return false;
+      })
+      .map(file => ({
+        originalname: file.filename,
+        filename: file.filename,
+        path: file.path,
+        size: fs.statSync(file.path).size
+      }));
+  }
+}
+
+// Groups detected at upload time, persisted so /api/process only has to accept ids
+class SessionGroups {
+  static manifestPath(sessionId) {
+    return path.join(SessionFiles.uploadDir(sessionId), '.groups.json');
+  }
+
+  static groupId(group) {
+    return `group_${group.prefix}${String(group.sequence).padStart(4, '0')}`;
+  }
+
+  static load(sessionId) {
+    const manifestPath = this.manifestPath(sessionId);
+    if (!fs.existsSync(manifestPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  // Regroups every file in the session's upload dir, so repeated uploads extend existing groups.
+  // Chapters are probed once; the result is reused while the file's size is unchanged.
+  static async refresh(sessionId) {
+    const previous = this.load(sessionId);
+    const previousProbes = new Map();
+    (previous ? previous.groups : []).forEach(group => {
+      group.chapters.forEach(chapter => previousProbes.set(`${chapter.filename}:${chapter.size}`, chapter.probe));
+    });
+
+    const uploadDir = SessionFiles.uploadDir(sessionId);
+    const uploaded = SessionFiles.listDir(uploadDir).map(file => ({
+      originalname: file.filename,
+      filename: file.filename,
+      path: path.join(uploadDir, file.filename),
+      size: file.size
+    }));
+    // Chapter ids are filenames, so an uploaded copy wins over an imported file of the same name
+    const uploadedNames = new Set(uploaded.map(file => file.filename));
+    const imported = SessionImports.listFiles(sessionId).filter(file => !uploadedNames.has(file.filename));
+    const files = [...uploaded, ...imported];
+
+    const groups = [];
+    for (const group of GoProFileDetector.groupFiles(files)) {
+      const chapters = [];
+      for (const chapter of group.chapters) {
+        const cached = previousProbes.get(`${chapter.filename}:${chapter.size}`);
+        const probe = cached && !cached.unavailable ? cached : await ChapterValidator.probeChapter(chapter);
+        const { hilights, camera } = ChapterMetadata.read(chapter.path);
+        chapters.push({ id: chapter.filename, ...chapter, probe, hilights, camera });
+      }
+
+      const resolved = {
+        id: this.groupId(group),
+        prefix: group.prefix,
+        scheme: group.scheme,
+        firstChapter: group.firstChapter,
+        sequence: group.sequence,
+        encoding: group.encoding,
+        extension: group.extension,
+        chapters
+      };
+      resolved.validation = ChapterValidator.validate(resolved, chapters);
+      if (!resolved.validation.mergeable || resolved.validation.warnings.length > 0) {
+        logger.warn('Group validation issues', { sessionId, groupId: resolved.id, ...resolved.validation });
+      }
+      groups.push(resolved);
+    }
+
+    const manifest = { sessionId, updatedAt: new Date().toISOString(), groups };
+    fs.writeFileSync(this.manifestPath(sessionId), JSON.stringify(manifest, null, 2));
+    logger.debug('Saved session group manifest', { sessionId, groupCount: groups.length });
+    return manifest;
+  }
+
+  static thumbnailUrl(sessionId, chapter) {
+    return chapter.thumbnail
+      ? `/api/sessions/${sessionId}/chapters/${encodeURIComponent(chapter.id)}/thumbnail`
+      : null;
+  }
+
+  static toPublic(group, sessionId) {
+    const chapters = group.chapters.map(({ path: _path, proxy, thumbnail, ...chapter }) => ({
+      ...chapter,
+      proxy: proxy ? { filename: proxy.filename, size: proxy.size } : null,
+      thumbnailUrl: this.thumbnailUrl(sessionId, { ...chapter, thumbnail })
+    }));
+    return {
+      id: group.id,
+      scheme: group.scheme,
+      sequence: group.sequence,
+      encoding: group.encoding,
+      extension: group.extension,
+      thumbnailUrl: chapters.length > 0 ? chapters[0].thumbnailUrl : null,
+      hasProxies: chapters.length > 0 && chapters.every(ch => ch.proxy),
+      hilights: ChapterMetadata.hilightsOnTimeline(group.chapters),
+      chapters,
+      validation: group.validation,
+      totalSize: chapters.reduce((sum, ch) => sum + ch.size, 0),
+      chapterCount: chapters.length
+    };
+  }
+
+  static badRequest(message) {
+    return httpError(400, message);
+  }
+
+  static isInsideUploadDir(sessionId, filePath) {
+    const uploadDir = path.resolve(SessionFiles.uploadDir(sessionId));
+    return path.dirname(path.resolve(filePath)) === uploadDir;
+  }
+
+  // Chapters either sit in the session's upload dir or are referenced in place under an import root
+  static isAvailableSource(sessionId, filePath) {
+    return (this.isInsideUploadDir(sessionId, filePath) || ImportRoots.contains(filePath)) && fs.existsSync(filePath);
+  }
+
+  static resolveThumbnail(sessionId, chapterId) {
+    const manifest = this.load(sessionId);
+    const chapter = (manifest ? manifest.groups : [])
+      .flatMap(group => group.chapters)
+      .find(ch => ch.id === chapterId);
+
+    if (!chapter || !chapter.thumbnail) {
+      return null;
+    }
+    if (!this.isAvailableSource(sessionId, chapter.thumbnail.path)) {
+      logger.warn('Thumbnail not available to this session', { sessionId, chapterId, path: chapter.thumbnail.path });
+      return null;
+    }
+    return chapter.thumbnail.path;
+  }
+
+  // Accepts `'group_GX0042'` or `{ id, chapters: [chapterId, ...], profile, clips, precise }`; a chapter list both
+  // excludes the chapters it leaves out and fixes the order of those it keeps.
+  // With `preview`, every selected chapter also needs its LRV proxy.
+  static resolveSelection(sessionId, selection, { preview = false } = {}) {
+    const manifest = this.load(sessionId);
+    if (!manifest) {
+      throw this.badRequest('No uploaded groups for this session');
+    }
+
+    const request = typeof selection === 'string' ? { id: selection } : (selection || {});
+    const group = manifest.groups.find(g => g.id === request.id);
+    if (!group) {
+      throw this.badRequest(`Unknown group: ${request.id}`);
+    }
+
+    let chapters = group.chapters;
+    if (request.chapters !== undefined) {
+      if (!Array.isArray(request.chapters) || request.chapters.length === 0) {
+        throw this.badRequest(`Group ${group.id} needs at least one chapter`);
+      }
+      if (request.chapters.some(chapterId => typeof chapterId !== 'string')) {
+        throw this.badRequest(`Group ${group.id} chapters must be listed by id`);
+      }
+      if (new Set(request.chapters).size !== request.chapters.length) {
+        throw this.badRequest(`Group ${group.id} lists a chapter more than once`);
+      }
+      chapters = request.chapters.map(chapterId => {
+        const chapter = group.chapters.find(ch => ch.id === chapterId);
+        if (!chapter) {
+          throw this.badRequest(`Unknown chapter ${chapterId} in group ${group.id}`);
+        }
+        return chapter;
+      });
+    }
+
+    const profile = OutputProfiles.resolve(request.profile, group);
+    const { clips, precise } = ClipRanges.resolve(request, group, chapters);
+
+    chapters.forEach(chapter => {
+      if (!this.isAvailableSource(sessionId, chapter.path)) {
+        logger.warn('Rejected chapter outside session upload dir and import roots', { sessionId, groupId: group.id, path: chapter.path });
+        throw this.badRequest(`Chapter ${chapter.id} is not available in this session`);
+      }
+      if (preview && (!chapter.proxy || !this.isAvailableSource(sessionId, chapter.proxy.path))) {
+        throw this.badRequest(`Chapter ${chapter.id} has no LRV proxy for a preview merge`);
+      }
+    });
+
+    // Revalidate against the selection, since excluding a chapter can fix or cause a mismatch
+    const validation = ChapterValidator.validate(group, chapters);
+    if (!validation.mergeable) {
+      logger.warn('Rejected group that cannot be stream-copied', { sessionId, groupId: group.id, errors: validation.errors });
+      throw this.badRequest(`Group ${group.id} cannot be merged losslessly: ${validation.errors[0].message}`);
+    }
+
+    return { ...group, chapters, validation, profile, clips, precise };
+  }
+}
+
+// Resumable uploads: the client creates an upload, then appends checksummed chunks at
+// the offset the server reports. Partial data lives next to the finished files as dotfiles.
+class ChunkedUploads {
+  static uploadId(filename, size) {
+    return crypto.createHash('sha256').update(`${filename}:${size}`).digest('hex').substring(0, 24);
+  }
+
+  static partPath(sessionId, uploadId) {
+    return path.join(SessionFiles.uploadDir(sessionId), `.upload_${uploadId}.part`);
+  }
+
+  static metaPath(sessionId, uploadId) {
+    return path.join(SessionFiles.uploadDir(sessionId), `.upload_${uploadId}.json`);
+  }
+
+  static describe(meta) {
+    return {
+      uploadId: meta.uploadId,
+      filename: meta.filename,
+      size: meta.size,
+      offset: meta.offset,
+      chunkSize: UPLOAD_CHUNK_SIZE,
+      complete: meta.offset === meta.size
+    };
+  }
+
+  static load(sessionId, uploadId) {
+    if (!/^[a-f0-9]{24}$/.test(uploadId)) {
+      throw httpError(400, 'Invalid upload id');
+    }
+    const metaPath = this.metaPath(sessionId, uploadId);
+    if (!fs.existsSync(metaPath)) {
+      throw httpError(404, 'Upload not found');
+    }
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  }
+
+  static save(meta) {
+    fs.writeFileSync(this.metaPath(meta.sessionId, meta.uploadId), JSON.stringify(meta));
+  }
+
+  // Creating an upload that already exists returns it unchanged, which is how clients resume
+  static async create(sessionId, { filename, size }) {
+    const name = typeof filename === 'string' ? path.basename(filename) : '';
+    const totalSize = Number(size);
+
+    if (!name || name.startsWith('.')) {
+      throw httpError(400, 'Invalid filename');
+    }
+    if (!isAllowedUploadType(name)) {
+      throw httpError(400, `File type ${path.extname(name).toLowerCase()} not supported`, 'UNSUPPORTED_FILE_TYPE');
+    }
+    if (!Number.isSafeInteger(totalSize) || totalSize <= 0) {
+      throw httpError(400, 'Invalid file size');
+    }
+    if (totalSize > MAX_FILE_SIZE) {
+      throw httpError(413, `File exceeds maximum size of ${MAX_FILE_SIZE} bytes`, 'FILE_TOO_LARGE');
+    }
+
+    const sessionDir = SessionFiles.uploadDir(sessionId);
+    if (!fs.existsSync(sessionDir)) {
+      logger.debug('Creating session directory', { sessionId, sessionDir });
+      fs.mkdirSync(sessionDir, { recursive: true });
+    }
+
+    const uploadId = this.uploadId(name, totalSize);
+    const metaPath = this.metaPath(sessionId, uploadId);
+    const partPath = this.partPath(sessionId, uploadId);
+
+    if (fs.existsSync(metaPath) && fs.existsSync(partPath)) {
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      // Trust the bytes on disk over the recorded offset in case a write was interrupted
+      meta.offset = Math.min(fs.statSync(partPath).size, meta.size);
+      this.save(meta);
+      logger.info('Resuming chunked upload', { sessionId, uploadId, filename: name, offset: meta.offset });
+      return meta;
+    }
+
+    const finalPath = path.join(sessionDir, name);
+    if (fs.existsSync(finalPath) && fs.statSync(finalPath).size === totalSize) {
+      logger.info('Chunked upload already complete', { sessionId, uploadId, filename: name });
+      return { uploadId, sessionId, filename: name, size: totalSize, offset: totalSize };
+    }
+
+    // Resumed uploads were admitted when they were created
+    await DiskSpace.check(UPLOAD_DIR, totalSize);
+
+    const meta = {
+      uploadId,
+      sessionId,
+      filename: name,
+      size: totalSize,
+      offset: 0,
+      createdAt: new Date().toISOString()
+    };
+    fs.writeFileSync(partPath, '');
+    this.save(meta);
+    logger.info('Created chunked upload', { sessionId, uploadId, filename: name, size: totalSize });
+    return meta;
+  }
+
+  static appendChunk(sessionId, uploadId, offset, chunk, checksum) {
+    const meta = this.load(sessionId, uploadId);
+
+    if (offset !== meta.offset) {
+      throw httpError(409, `Offset mismatch: expected ${meta.offset}, got ${offset}`, 'OFFSET_MISMATCH');
+    }
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+      throw httpError(400, 'Empty chunk');
+    }
+    if (meta.offset + chunk.length > meta.size) {
+      throw httpError(400, 'Chunk extends past the declared file size');
+    }
+
+    const digest = crypto.createHash('sha256').update(chunk).digest('hex');
+    if (!checksum || checksum.toLowerCase() !== digest) {
+      logger.warn('Chunk checksum mismatch', { sessionId, uploadId, offset, expected: checksum, actual: digest });
+      throw httpError(422, 'Chunk checksum mismatch', 'CHECKSUM_MISMATCH');
+    }
+
+    try {
+      fs.appendFileSync(this.partPath(sessionId, uploadId), chunk);
+    } catch (error) {
+      if (error.code !== 'ENOSPC') {
+        throw error;
+      }
+      // Drop the torn chunk so the client can resume from the recorded offset once space frees up
+      fs.truncateSync(this.partPath(sessionId, uploadId), meta.offset);
+      logger.warn('Disk full while appending upload chunk', { sessionId, uploadId, offset: meta.offset });
+      throw DiskSpace.insufficientError(chunk.length, 0);
+    }
+    meta.offset += chunk.length;
+    meta.updatedAt = new Date().toISOString();
+    this.save(meta);
+
+    logger.debug('Appended upload chunk', { sessionId, uploadId, offset: meta.offset, size: meta.size });
+    return meta;
+  }
+
+  static finalize(meta) {
+    const finalPath = path.join(SessionFiles.uploadDir(meta.sessionId), meta.filename);
+    fs.renameSync(this.partPath(meta.sessionId, meta.uploadId), finalPath);
+    fs.unlinkSync(this.metaPath(meta.sessionId, meta.uploadId));
+    logger.info('Chunked upload complete', {
+      sessionId: meta.sessionId,
+      uploadId: meta.uploadId,
+      filename: meta.filename,
+      size: meta.size
+    });
+    return finalPath;
+  }
+}
+
+module.exports = {
+  SessionFiles,
+  ImportRoots,
+  SessionImports,
+  SessionGroups,
+  ChunkedUploads
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const logger = require('./logger');
+const { httpError } = require('./errors');
+const { UPLOAD_DIR, OUTPUT_DIR, MIN_FREE_DISK_BYTES } = require('./config');
+const { videoQueue } = require('./queue');
+
+// Free space checks for the upload and output volumes. Running jobs reserve the bytes they are
+// expected to write in a Redis hash, so workers sharing a volume don't all admit merges against
+// the same free space. What a job has already written is gone from the volume's free space, so
+// only the rest of its reservation is held back.
+class DiskSpace {
+  static RESERVATIONS_KEY = 'video-processing:disk-reservations';
+  static CODE = 'INSUFFICIENT_STORAGE';
+  // Progress only reaches Redis after this much more (or less) has been written
+  static WRITTEN_STEP_BYTES = 64 * 1024 * 1024;
+
+  // Sums what the other reservations on the device have yet to write and records this one only if it still fits
+  static RESERVE_SCRIPT = `
+    local reserved = 0
+    for _, value in ipairs(redis.call('HVALS', KEYS[1])) do
+      local entry = cjson.decode(value)
+      if entry.device == ARGV[1] and entry.jobId ~= ARGV[4] then
+        reserved = reserved + math.max(entry.bytes - (entry.written or 0), 0)
+      end
+    end
+    local available = tonumber(ARGV[2]) - reserved
+    if tonumber(ARGV[3]) > available then
+      return {0, available}
+    end
+    redis.call('HSET', KEYS[1], ARGV[4], ARGV[5])
+    return {1, available}
+  `;
+
+  static WRITTEN_SCRIPT = `
+    local value = redis.call('HGET', KEYS[1], ARGV[1])
+    if not value then
+      return 0
+    end
+    local entry = cjson.decode(value)
+    entry.written = tonumber(ARGV[2])
+    redis.call('HSET', KEYS[1], ARGV[1], cjson.encode(entry))
+    return 1
+  `;
+
+  static outstanding(entry) {
+    return Math.max(entry.bytes - (entry.written || 0), 0);
+  }
+
+  static usage(dir) {
+    const stats = fs.statfsSync(dir);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    return {
+      path: dir,
+      device: String(fs.statSync(dir).dev),
+      totalBytes: total,
+      freeBytes: free,
+      usedBytes: total - free,
+      usedPercent: total > 0 ? Math.round(((total - free) / total) * 1000) / 10 : 0
+    };
+  }
+
+  static insufficientError(requiredBytes, availableBytes) {
+    const error = httpError(507, `Not enough disk space: ${requiredBytes} bytes needed, ${Math.max(availableBytes, 0)} available`);
+    error.code = this.CODE;
+    error.requiredBytes = requiredBytes;
+    error.availableBytes = Math.max(availableBytes, 0);
+    return error;
+  }
+
+  static describe(error) {
+    return {
+      error: error.message,
+      code: error.code,
+      requiredBytes: error.requiredBytes,
+      availableBytes: error.availableBytes
+    };
+  }
+
+  static async reservations() {
+    // Without Redis the checks fall back to free space alone rather than hanging the request
+    if (videoQueue.client.status !== 'ready') {
+      return [];
+    }
+    const entries = await videoQueue.client.hvals(this.RESERVATIONS_KEY);
+    return entries.map(entry => JSON.parse(entry));
+  }
+
+  static async check(dir, requiredBytes) {
+    const { device, freeBytes } = this.usage(dir);
+    const reserved = (await this.reservations())
+      .filter(entry => entry.device === device)
+      .reduce((sum, entry) => sum + this.outstanding(entry), 0);
+    const available = freeBytes - MIN_FREE_DISK_BYTES - reserved;
+
+    if (requiredBytes > available) {
+      logger.warn('Insufficient disk space', { dir, requiredBytes, freeBytes, reservedBytes: reserved, minFreeBytes: MIN_FREE_DISK_BYTES });
+      throw this.insufficientError(requiredBytes, available);
+    }
+    return available;
+  }
+
+  static async reserve(jobId, dir, bytes) {
+    const { device, freeBytes } = this.usage(dir);
+    const entry = JSON.stringify({ jobId: String(jobId), device, dir, bytes, written: 0, reservedAt: new Date().toISOString() });
+    const [reserved, available] = await videoQueue.client.eval(
+      this.RESERVE_SCRIPT, 1, this.RESERVATIONS_KEY,
+      device, freeBytes - MIN_FREE_DISK_BYTES, bytes, String(jobId), entry
+    );
+
+    if (!reserved) {
+      logger.warn('Disk reservation refused', { jobId, dir, bytes, availableBytes: available });
+      throw this.insufficientError(bytes, available);
+    }
+    logger.debug('Disk space reserved', { jobId, dir, bytes });
+  }
+
+  // Records how much of its reservation a job has written so far. A retried attempt starts over
+  // from 0, since reserving again replaces the entry.
+  static async recordWritten(jobId, writtenBytes) {
+    await videoQueue.client.eval(this.WRITTEN_SCRIPT, 1, this.RESERVATIONS_KEY, String(jobId), writtenBytes);
+  }
+
+  static async release(jobId) {
+    await videoQueue.client.hdel(this.RESERVATIONS_KEY, String(jobId));
+  }
+
+  // Drops reservations left behind by workers that died mid-job
+  static async prune() {
+    const entries = await videoQueue.client.hvals(this.RESERVATIONS_KEY);
+    for (const entry of entries.map(value => JSON.parse(value))) {
+      const job = await videoQueue.getJob(entry.jobId);
+      if (!job || !(await job.isActive())) {
+        await this.release(entry.jobId);
+        logger.info('Released stale disk reservation', { jobId: entry.jobId, bytes: entry.bytes });
+      }
+    }
+  }
+
+  // A stream copy writes about as many bytes as it reads, and clips their share of the timeline.
+  // Re-encodes are estimated the same way, which overshoots for the smaller profiles.
+  static estimateJob({ files, preview, clips }) {
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    const proxySize = preview ? files.reduce((sum, file) => sum + (file.proxy ? file.proxy.size : 0), 0) : 0;
+    if (!clips) {
+      return totalSize + proxySize;
+    }
+
+    const duration = files.reduce((sum, file) => sum + ((file.probe && file.probe.duration) || 0), 0);
+    const clipped = clips.reduce((sum, clip) => sum + clip.end - clip.start, 0);
+    return Math.ceil(duration > 0 ? totalSize * clipped / duration : totalSize) + proxySize;
+  }
+
+  static async report() {
+    const reservations = await this.reservations();
+    return {
+      uploads: this.usage(UPLOAD_DIR),
+      outputs: this.usage(OUTPUT_DIR),
+      reservedBytes: reservations.reduce((sum, entry) => sum + this.outstanding(entry), 0),
+      reservedJobs: reservations.length,
+      minFreeBytes: MIN_FREE_DISK_BYTES
+    };
+  }
+}
+
+module.exports = { DiskSpace };
@@ -0,0 +1,870 @@
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const logger = require('./logger');
+const { GPMF, TelemetryFormatter } = require('./gpmf');
+const { httpError } = require('./errors');
+const { FFMPEG_THREADS, TELEMETRY_FORMATS } = require('./config');
+const { Metrics } = require('./metrics');
+
+// Named output profiles. Stream copy is the default; the others re-encode through the
+// same concat pipeline, so telemetry mapping and progress reporting work unchanged.
+class OutputProfiles {
+  static DEFAULT = 'copy';
+
+  static PROFILES = {
+    copy: {
+      label: 'Lossless stream copy',
+      video: null,
+      audio: null
+    },
+    'h264-1080p': {
+      label: 'H.264 1080p for sharing',
+      video: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '20', '-vf', "scale=-2:'min(1080,ih)'", '-pix_fmt', 'yuv420p'],
+      audio: ['-c:a', 'aac', '-b:a', '192k', '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11']
+    },
+    'hevc-archive': {
+      label: 'HEVC 20 Mbps for archive',
+      video: ['-c:v', 'libx265', '-preset', 'slow', '-b:v', '20M', '-maxrate', '30M', '-bufsize', '40M', '-tag:v', 'hvc1'],
+      audio: null
+    },
+    'audio-normalized': {
+      label: 'Stream copy with loudness-normalised audio',
+      video: null,
+      audio: ['-c:a', 'aac', '-b:a', '192k', '-af', 'loudnorm=I=-16:TP=-1.5:LRA=11']
+    }
+  };
+
+  static isReencode(name) {
+    const profile = this.PROFILES[name];
+    return Boolean(profile && (profile.video || profile.audio));
+  }
+
+  static list() {
+    return Object.entries(this.PROFILES).map(([name, profile]) => ({
+      name,
+      label: profile.label,
+      reencode: this.isReencode(name),
+      reencodesVideo: Boolean(profile.video),
+      default: name === this.DEFAULT
+    }));
+  }
+
+  // Returns the profile name to use, or throws a 400 the route can pass straight through
+  static resolve(name, group) {
+    if (name === undefined || name === null) {
+      return this.DEFAULT;
+    }
+    if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(this.PROFILES, name)) {
+      throw httpError(400, `Unknown output profile: ${name}`);
+    }
+    // MAX .360 files carry two video tracks that only GoPro's tools know how to stitch
+    if (group.scheme === 'spherical' && this.PROFILES[name].video) {
+      throw httpError(400, `Output profile ${name} cannot re-encode spherical footage in group ${group.id}`);
+    }
+    return name;
+  }
+
+  // Frame-accurate clip cuts need re-encoded video even when the profile would copy it
+  static PRECISE_CUT = {
+    video: ['-c:v', 'libx264', '-preset', 'medium', '-crf', '18', '-pix_fmt', 'yuv420p'],
+    audio: ['-c:a', 'aac', '-b:a', '192k']
+  };
+
+  // `-c copy` covers every stream the profile does not re-encode, including GPMF data
+  static codecArgs(name, { precise = false } = {}) {
+    const profile = this.PROFILES[name] || this.PROFILES[this.DEFAULT];
+    const video = profile.video || (precise ? this.PRECISE_CUT.video : null);
+    const audio = profile.audio || (precise ? this.PRECISE_CUT.audio : null);
+    return [
+      '-c', 'copy',
+      ...(video || []),
+      ...(audio || []),
+      '-threads', String(FFMPEG_THREADS)
+    ];
+  }
+}
+
+// Video processing with FFmpeg
+class VideoProcessor {
+  static probeStreams(filePath) {
+    return new Promise((resolve, reject) => {
+      const ffprobeArgs = [
+        '-v', 'error',
+        '-show_format',
+        '-show_streams',
+        '-of', 'json',
+        filePath
+      ];
+
+      logger.debug('Spawning FFprobe process', { args: ffprobeArgs });
+      const ffprobe = spawn('ffprobe', ffprobeArgs);
+
+      let stdout = '';
+      let stderr = '';
+
+      ffprobe.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      ffprobe.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffprobe.on('close', (code) => {
+        if (code !== 0) {
+          logger.warn('FFprobe could not read file', { filePath, code, stderr: stderr.substring(0, 500) });
+          return reject(new Error(stderr.trim().split('\n').pop() || `FFprobe failed with code ${code}`));
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (error) {
+          reject(new Error(`Unreadable FFprobe output for ${path.basename(filePath)}`));
+        }
+      });
+
+      ffprobe.on('error', (error) => {
+        logger.logError(error, { component: 'FFprobe', event: 'spawn error' });
+        reject(error);
+      });
+    });
+  }
+
+  static async probeInputs(inputFiles) {
+    const probes = [];
+    for (const file of inputFiles) {
+      probes.push(await this.probeStreams(file));
+    }
+    const totalDuration = probes.reduce((sum, probe) => sum + (parseFloat(probe.format && probe.format.duration) || 0), 0);
+    logger.info('Probed input files', { inputFileCount: inputFiles.length, totalDuration });
+    return { probes, totalDuration };
+  }
+
+  // The concat demuxer offsets every stream of each file by the `duration` given here, so
+  // GPMF samples stay aligned with the video across chapter boundaries instead of drifting
+  // by whatever each data track's own length happens to be.
+  static buildConcatList(inputFiles, probes) {
+    return inputFiles
+      .map((file, index) => {
+        const entry = `file '${file.replace(/'/g, "'\\''")}'`;
+        const duration = probes && parseFloat(probes[index].format && probes[index].format.duration);
+        return duration ? `${entry}\nduration ${duration}` : entry;
+      })
+      .join('\n');
+  }
+
+  // Maps every video and audio stream plus the GPMF (gpmd) telemetry track. The tmcd
+  // timecode track is not mapped directly: ffmpeg exposes it as the video stream's
+  // `timecode` tag and -write_tmcd rebuilds it in the output.
+  static buildStreamArgs(probe) {
+    if (!probe) {
+      return [];
+    }
+
+    const args = [];
+    let dataIndex = 0;
+    (probe.streams || []).forEach(stream => {
+      if (stream.disposition && stream.disposition.attached_pic) {
+        return;
+      }
+      if (stream.codec_type === 'video' || stream.codec_type === 'audio') {
+        args.push('-map', `0:${stream.index}`);
+      } else if (stream.codec_type === 'data' && stream.codec_tag_string === 'gpmd') {
+        const handlerName = (stream.tags && stream.tags.handler_name) || 'GoPro MET';
+        args.push(
+          '-map', `0:${stream.index}`,
+          `-tag:d:${dataIndex}`, 'gpmd',
+          `-metadata:s:d:${dataIndex}`, `handler_name=${handlerName.trim()}`
+        );
+        dataIndex++;
+      }
+    });
+    return args;
+  }
+
+  static PRESERVED_FORMAT_TAGS = ['creation_time', 'firmware', 'make', 'model', 'location', 'location-eng', 'com.apple.quicktime.make', 'com.apple.quicktime.model'];
+
+  static buildMetadataArgs(probe) {
+    const args = ['-map_metadata', '0', '-write_tmcd', '1', '-movflags', 'use_metadata_tags'];
+    const tags = (probe && probe.format && probe.format.tags) || {};
+    this.PRESERVED_FORMAT_TAGS
+      .filter(tag => tags[tag])
+      .forEach(tag => args.push('-metadata', `${tag}=${tags[tag]}`));
+    return args;
+  }
+
+  // Turns one block of `-progress` key=value lines into a progress update
+  static parseProgressBlock(fields, totalDuration, startedAt) {
+    const outTimeUs = parseInt(fields.out_time_us || fields.out_time_ms, 10);
+    const outTime = Number.isFinite(outTimeUs) ? Math.max(outTimeUs / 1e6, 0) : 0;
+    const speed = parseFloat(fields.speed);
+    const bytesWritten = parseInt(fields.total_size, 10);
+    const done = fields.progress === 'end';
+
+    let percent = totalDuration > 0 ? Math.min((outTime / totalDuration) * 100, 100) : 0;
+    if (done) percent = 100;
+
+    let eta = null;
+    if (!done && totalDuration > 0) {
+      const remaining = Math.max(totalDuration - outTime, 0);
+      if (Number.isFinite(speed) && speed > 0) {
+        eta = remaining / speed;
+      } else if (outTime > 0) {
+        eta = remaining * ((Date.now() - startedAt) / 1000) / outTime;
+      }
+    }
+
+    return {
+      stage: 'concatenating',
+      time: fields.out_time,
+      outTime,
+      totalDuration,
+      percent: Math.round(percent * 10) / 10,
+      bytesWritten: Number.isFinite(bytesWritten) ? bytesWritten : null,
+      speed: Number.isFinite(speed) ? speed : null,
+      eta: eta === null ? null : Math.round(eta),
+      done
+    };
+  }
+
+  static cancelledError() {
+    const error = new Error('Processing cancelled');
+    error.code = 'JOB_CANCELLED';
+    return error;
+  }
+
+  // ffmpeg writes to a dotfile next to the output that is renamed into place only after a clean
+  // exit, so a crash never leaves a truncated file under the name downloads are served from
+  static partialPath(outputPath) {
+    return path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.partial`);
+  }
+
+  static removePartialOutput(outputPath) {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+      logger.info('Removed partial output', { outputPath });
+    }
+  }
+
+  // A log that can't be written must not fail the merge it describes
+  static openRunLog(logPath, args) {
+    const stream = fs.createWriteStream(logPath, { flags: 'a' });
+    stream.on('error', (error) => {
+      logger.warn('Could not write job log', { logPath, error: error.message });
+    });
+    stream.write(`$ ffmpeg ${args.join(' ')}\n`);
+    return stream;
+  }
+
+  // `range` cuts `{ start, end }` seconds out of the concatenated timeline. Input seeking
+  // with stream copy starts on the keyframe at or before `start`; `precise` re-encodes instead.
+  // With `logPath` the command line, full stderr and exit status are appended to that file.
+  static async concatenateVideos(inputFiles, outputPath, onProgress, { signal, profile = OutputProfiles.DEFAULT, range = null, precise = false, logPath = null } = {}) {
+    logger.info('Starting video concatenation', { 
+      inputFileCount: inputFiles.length,
+      outputPath,
+      profile,
+      range
+    });
+
+    let probes = null;
+    let totalDuration = 0;
+    try {
+      ({ probes, totalDuration } = await this.probeInputs(inputFiles));
+    } catch (error) {
+      logger.warn('Could not probe inputs, falling back to default stream mapping without progress percentages', {
+        error: error.message
+      });
+    }
+
+    if (signal && signal.aborted) {
+      throw this.cancelledError();
+    }
+    
+    return new Promise((resolve, reject) => {
+      const tempListFile = path.join(path.dirname(outputPath), `filelist_${Date.now()}.txt`);
+      const partialPath = this.partialPath(outputPath);
+      
+      try {
+        const fileListContent = this.buildConcatList(inputFiles, probes);
+        
+        logger.debug('Writing FFmpeg filelist', { tempListFile, fileCount: inputFiles.length });
+        fs.writeFileSync(tempListFile, fileListContent);
+        
+        const ffmpegArgs = [
+          '-f', 'concat',
+          '-safe', '0',
+          ...(range ? ['-ss', String(range.start)] : []),
+          '-i', tempListFile,
+          ...(range ? ['-t', String(range.end - range.start)] : []),
+          ...this.buildStreamArgs(probes && probes[0]),
+          ...OutputProfiles.codecArgs(profile, { precise }),
+          '-copy_unknown',
+          ...this.buildMetadataArgs(probes && probes[0]),
+          '-avoid_negative_ts', 'make_zero',
+          '-progress', 'pipe:1',
+          '-nostats',
+          // The mp4 muxer has no tag for gpmd data tracks and refuses them. The mov muxer writes
+          // them, and players take its output as an .mp4 all the same.
+          '-f', 'mov'
+        ];
+        
+        // Left behind by an attempt that died with its worker
+        this.removePartialOutput(partialPath);
+        
+        logger.debug('Spawning FFmpeg process', { args: ffmpegArgs, partialPath });
+        const ffmpeg = spawn('ffmpeg', [...ffmpegArgs, partialPath], { signal, killSignal: 'SIGKILL' });
+        const startedAt = Date.now();
+        const ffmpegLog = logPath ? this.openRunLog(logPath, [...ffmpegArgs, partialPath]) : null;
+        
+        let stderr = '';
+        let progressBuffer = '';
+        let progressFields = {};
+
+        ffmpeg.stdout.on('data', (data) => {
+          progressBuffer += data.toString();
+          const lines = progressBuffer.split('\n');
+          progressBuffer = lines.pop();
+
+          lines.forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator === -1) return;
+            const key = line.substring(0, separator).trim();
+            const value = line.substring(separator + 1).trim();
+            progressFields[key] = value;
+
+            // ffmpeg terminates every progress block with a `progress=` line
+            if (key === 'progress') {
+              const progress = this.parseProgressBlock(progressFields, range ? range.end - range.start : totalDuration, startedAt);
+              progressFields = {};
+              logger.debug('FFmpeg progress', progress);
+              if (onProgress) {
+                onProgress(progress);
+              }
+            }
+          });
+        });
+        
+        ffmpeg.stderr.on('data', (data) => {
+          stderr += data.toString();
+          logger.debug('FFmpeg output', { output: data.toString().trim() });
+          if (ffmpegLog) {
+            ffmpegLog.write(data);
+          }
+        });
+        
+        ffmpeg.on('close', (code, exitSignal) => {
+          logger.debug('FFmpeg process closed', { code, signal: exitSignal });
+          Metrics.ffmpegExits.inc({ task: 'concatenate', code: code === null ? exitSignal : String(code) });
+          if (ffmpegLog) {
+            ffmpegLog.end(`--- exited with ${code === null ? exitSignal : code} after ${Math.round((Date.now() - startedAt) / 1000)}s\n\n`);
+          }
+          
+          if (fs.existsSync(tempListFile)) {
+            fs.unlinkSync(tempListFile);
+            logger.debug('Cleaned up temp filelist', { tempListFile });
+          }
+          
+          if (code === 0) {
+            try {
+              fs.renameSync(partialPath, outputPath);
+            } catch (error) {
+              logger.logError(error, { component: 'VideoProcessor', method: 'concatenateVideos', partialPath, outputPath });
+              this.removePartialOutput(partialPath);
+              return reject(error);
+            }
+            logger.info('Video concatenation successful', { outputPath, durationMs: Date.now() - startedAt });
+            resolve({ success: true, outputPath, totalDuration, probes, ffmpegArgs: [...ffmpegArgs, outputPath] });
+          } else if (signal && signal.aborted) {
+            logger.info('FFmpeg killed after cancellation', { outputPath });
+            this.removePartialOutput(partialPath);
+            reject(this.cancelledError());
+          } else {
+            logger.error('FFmpeg failed', { code, stderr: stderr.slice(-500), logPath });
+            this.removePartialOutput(partialPath);
+            reject(new Error(`FFmpeg failed with code ${code}`));
+          }
+        });
+        
+        ffmpeg.on('error', (error) => {
+          if (fs.existsSync(tempListFile)) {
+            fs.unlinkSync(tempListFile);
+          }
+          // Aborting the signal surfaces here as an AbortError; 'close' reports the cancellation
+          if (error.name === 'AbortError') {
+            return;
+          }
+          if (ffmpegLog) {
+            ffmpegLog.end(`--- could not start: ${error.message}\n\n`);
+          }
+          logger.logError(error, { component: 'FFmpeg', event: 'spawn error' });
+          this.removePartialOutput(partialPath);
+          reject(error);
+        });
+        
+      } catch (error) {
+        logger.logError(error, { component: 'VideoProcessor', method: 'concatenateVideos' });
+        if (fs.existsSync(tempListFile)) {
+          fs.unlinkSync(tempListFile);
+        }
+        reject(error);
+      }
+    });
+  }
+}
+
+// GPMF telemetry extraction and export alongside merged outputs
+class TelemetryExtractor {
+  static FORMATS = {
+    gpx: { extension: '.gpx', render: (track, options) => TelemetryFormatter.toGPX(track, options) },
+    csv: { extension: '.csv', render: (track, options) => TelemetryFormatter.toCSV(track, options) },
+    geojson: { extension: '.geojson', render: (track, options) => TelemetryFormatter.toGeoJSON(track, options) }
+  };
+
+  static findGpmfStream(probe) {
+    return ((probe && probe.streams) || []).find(stream =>
+      stream.codec_type === 'data' && stream.codec_tag_string === 'gpmd'
+    );
+  }
+
+  static readPacketTimings(filePath, streamIndex) {
+    return new Promise((resolve, reject) => {
+      const ffprobeArgs = [
+        '-v', 'error',
+        '-select_streams', String(streamIndex),
+        '-show_entries', 'packet=pts_time,duration_time,size',
+        '-of', 'json',
+        filePath
+      ];
+
+      logger.debug('Spawning FFprobe process', { args: ffprobeArgs });
+      const ffprobe = spawn('ffprobe', ffprobeArgs);
+      let stdout = '';
+      let stderr = '';
+
+      ffprobe.stdout.on('data', (data) => {
+        stdout += data.toString();
+      });
+
+      ffprobe.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffprobe.on('close', (code) => {
+        if (code !== 0) {
+          return reject(new Error(`FFprobe packet listing failed with code ${code}: ${stderr.trim().substring(0, 200)}`));
+        }
+        try {
+          resolve(JSON.parse(stdout).packets || []);
+        } catch (error) {
+          reject(new Error(`Unreadable FFprobe packet listing for ${path.basename(filePath)}`));
+        }
+      });
+
+      ffprobe.on('error', reject);
+    });
+  }
+
+  static readRawStream(filePath, streamIndex) {
+    return new Promise((resolve, reject) => {
+      const ffmpegArgs = [
+        '-v', 'error',
+        '-i', filePath,
+        '-map', `0:${streamIndex}`,
+        '-c', 'copy',
+        '-f', 'data',
+        'pipe:1'
+      ];
+
+      logger.debug('Spawning FFmpeg process', { args: ffmpegArgs });
+      const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+      const chunks = [];
+      let stderr = '';
+
+      ffmpeg.stdout.on('data', (data) => {
+        chunks.push(data);
+      });
+
+      ffmpeg.stderr.on('data', (data) => {
+        stderr += data.toString();
+      });
+
+      ffmpeg.on('close', (code, exitSignal) => {
+        Metrics.ffmpegExits.inc({ task: 'telemetry', code: code === null ? exitSignal : String(code) });
+        if (code !== 0) {
+          return reject(new Error(`FFmpeg GPMF extraction failed with code ${code}: ${stderr.trim().substring(0, 200)}`));
+        }
+        resolve(Buffer.concat(chunks));
+      });
+
+      ffmpeg.on('error', reject);
+    });
+  }
+
+  // Splits the raw GPMF stream back into packets using the sizes ffprobe reported
+  static async extractPackets(filePath, streamIndex) {
+    const [timings, raw] = await Promise.all([
+      this.readPacketTimings(filePath, streamIndex),
+      this.readRawStream(filePath, streamIndex)
+    ]);
+
+    const packets = [];
+    let offset = 0;
+    timings.forEach(timing => {
+      const size = parseInt(timing.size, 10);
+      packets.push({
+        pts: parseFloat(timing.pts_time) || 0,
+        duration: parseFloat(timing.duration_time) || 1,
+        payload: raw.subarray(offset, offset + size)
+      });
+      offset += size;
+    });
+
+    logger.debug('Extracted GPMF packets', { filePath, packetCount: packets.length, bytes: raw.length });
+    return packets;
+  }
+
+  // Writes the enabled formats next to the merged output and returns what was written
+  static async exportForOutput(inputFiles, probes, outputPath) {
+    if (TELEMETRY_FORMATS.length === 0 || !probes) {
+      return [];
+    }
+
+    const chapters = [];
+    let offset = 0;
+    for (let i = 0; i < inputFiles.length; i++) {
+      const duration = parseFloat(probes[i].format && probes[i].format.duration) || 0;
+      const stream = this.findGpmfStream(probes[i]);
+      if (stream) {
+        chapters.push({ offset, duration, packets: await this.extractPackets(inputFiles[i], stream.index) });
+      } else {
+        logger.debug('Chapter has no GPMF stream', { file: inputFiles[i] });
+      }
+      offset += duration;
+    }
+
+    if (chapters.length === 0) {
+      logger.info('No GPMF telemetry found in inputs', { outputPath });
+      return [];
+    }
+
+    const track = GPMF.buildTrack(chapters);
+    const creationTime = probes[0].format && probes[0].format.tags && probes[0].format.tags.creation_time;
+    const options = {
+      name: path.basename(outputPath, path.extname(outputPath)),
+      startTime: creationTime ? Date.parse(creationTime) : null
+    };
+
+    const written = [];
+    TELEMETRY_FORMATS.forEach(format => {
+      const formatter = this.FORMATS[format];
+      if (!formatter) {
+        logger.warn('Unknown telemetry format configured', { format });
+        return;
+      }
+      const filePath = outputPath.replace(/\.[^.]+$/, formatter.extension);
+      fs.writeFileSync(filePath, formatter.render(track, options));
+      written.push({ format, filename: path.basename(filePath), size: fs.statSync(filePath).size });
+    });
+
+    logger.info('Telemetry exported', {
+      outputPath,
+      gpsSamples: track.gps.length,
+      sensors: Object.keys(track.sensors),
+      files: written.map(file => file.filename)
+    });
+    return written;
+  }
+}
+
+// Content checks that decide whether a group's chapters can be stream-copied together
+class ChapterValidator {
+  static CHECKS = [
+    { code: 'CODEC_MISMATCH', label: 'video codec', value: (s) => s.video && s.video.codec },
+    { code: 'RESOLUTION_MISMATCH', label: 'resolution', value: (s) => s.video && `${s.video.width}x${s.video.height}` },
+    { code: 'FRAME_RATE_MISMATCH', label: 'frame rate', value: (s) => s.video && s.video.frameRate },
+    { code: 'TIMEBASE_MISMATCH', label: 'timebase', value: (s) => s.video && s.video.timeBase },
+    { code: 'AUDIO_MISMATCH', label: 'audio format', value: (s) => s.audio && `${s.audio.codec}/${s.audio.sampleRate}Hz/${s.audio.channels}ch` },
+    { code: 'TRACK_LAYOUT_MISMATCH', label: 'track layout', value: (s) => s.layout }
+  ];
+
+  static summarize(probe) {
+    const streams = probe.streams || [];
+    const format = probe.format || {};
+    const video = streams.find(stream => stream.codec_type === 'video');
+    const audio = streams.find(stream => stream.codec_type === 'audio');
+
+    return {
+      duration: parseFloat(format.duration) || 0,
+      firmware: (format.tags && format.tags.firmware) || null,
+      creationTime: (format.tags && format.tags.creation_time) || null,
+      video: video ? {
+        codec: video.codec_name,
+        width: video.width,
+        height: video.height,
+        frameRate: video.r_frame_rate,
+        timeBase: video.time_base
+      } : null,
+      audio: audio ? {
+        codec: audio.codec_name,
+        sampleRate: audio.sample_rate,
+        channels: audio.channels
+      } : null,
+      layout: streams.map(stream => `${stream.codec_type}:${stream.codec_tag_string || stream.codec_name}`).join(',')
+    };
+  }
+
+  static async probeChapter(chapter) {
+    try {
+      const summary = this.summarize(await VideoProcessor.probeStreams(chapter.path));
+      if (!summary.video || summary.duration <= 0) {
+        return { error: 'No playable video stream (file may be truncated)' };
+      }
+      return summary;
+    } catch (error) {
+      // ENOENT means ffprobe itself is missing, not that the chapter is bad
+      return { error: error.message, unavailable: error.code === 'ENOENT' };
+    }
+  }
+
+  static validate(group, chapters) {
+    const errors = [];
+    const warnings = [];
+
+    if (chapters.some(chapter => chapter.probe && chapter.probe.unavailable)) {
+      warnings.push({ code: 'VALIDATION_UNAVAILABLE', message: 'ffprobe is not available; chapters were not checked' });
+      return { mergeable: true, errors, warnings };
+    }
+
+    chapters
+      .filter(chapter => !chapter.probe || chapter.probe.error)
+      .forEach(chapter => {
+        errors.push({
+          code: 'UNREADABLE_CHAPTER',
+          chapter: chapter.id,
+          message: `${chapter.id} could not be read: ${chapter.probe ? chapter.probe.error : 'not probed'}`
+        });
+      });
+
+    const readable = chapters.filter(chapter => chapter.probe && !chapter.probe.error);
+    const [reference, ...rest] = readable;
+
+    if (reference) {
+      rest.forEach(chapter => {
+        this.CHECKS.forEach(({ code, label, value }) => {
+          const expected = value(reference.probe);
+          const actual = value(chapter.probe);
+          if (expected !== actual) {
+            errors.push({
+              code,
+              chapter: chapter.id,
+              message: `${chapter.id} ${label} ${actual} does not match ${reference.id} (${expected})`
+            });
+          }
+        });
+
+        if (reference.probe.firmware !== chapter.probe.firmware) {
+          warnings.push({
+            code: 'CAMERA_MISMATCH',
+            chapter: chapter.id,
+            message: `${chapter.id} was recorded with firmware ${chapter.probe.firmware}, ${reference.id} with ${reference.probe.firmware}`
+          });
+        }
+      });
+    }
+
+    const numbers = new Set(chapters.map(chapter => chapter.chapter));
+    const last = Math.max(...numbers);
+    const missing = [];
+    for (let n = group.firstChapter; n <= last; n++) {
+      if (!numbers.has(n)) missing.push(n);
+    }
+    if (missing.length > 0) {
+      warnings.push({
+        code: 'MISSING_CHAPTER',
+        chapters: missing,
+        message: `Chapter${missing.length > 1 ? 's' : ''} ${missing.join(', ')} missing from sequence ${group.sequence}`
+      });
+    }
+
+    return { mergeable: errors.length === 0, errors, warnings };
+  }
+}
+
+// GoPro metadata in moov/udta, read from box headers so multi-GB chapters cost a handful of reads.
+// HMMT holds the HiLight tags: a count followed by that many millisecond timestamps. On HERO5 and
+// later a udta GPMF box carries KLV entries with the camera model (MINF), serial (CASN) and firmware.
+class ChapterMetadata {
+  static readBox(fd, position, end) {
+    if (end - position < 8) {
+      return null;
+    }
+    const header = Buffer.alloc(16);
+    fs.readSync(fd, header, 0, 16, position);
+
+    let size = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - position;
+    }
+    if (size < headerSize || position + size > end) {
+      return null;
+    }
+
+    return {
+      type: header.toString('latin1', 4, 8),
+      start: position + headerSize,
+      end: position + size
+    };
+  }
+
+  static findBox(fd, start, end, type) {
+    let position = start;
+    while (position < end) {
+      const box = this.readBox(fd, position, end);
+      if (!box) {
+        return null;
+      }
+      if (box.type === type) {
+        return box;
+      }
+      position = box.end;
+    }
+    return null;
+  }
+
+  static readPayload(fd, box) {
+    const payload = Buffer.alloc(box.end - box.start);
+    fs.readSync(fd, payload, 0, payload.length, box.start);
+    return payload;
+  }
+
+  // HiLight times in seconds from the start of the chapter
+  static parseHiLights(payload) {
+    if (payload.length < 4) {
+      return [];
+    }
+    const count = Math.min(payload.readUInt32BE(0), (payload.length - 4) / 4);
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(payload.readUInt32BE(4 + i * 4) / 1000);
+    }
+    return times.sort((a, b) => a - b);
+  }
+
+  static parseCamera(payload) {
+    const strings = {};
+    GPMF.parseKLV(payload)
+      .filter(entry => entry.type === 'c')
+      .forEach(entry => {
+        strings[entry.key] = entry.data.toString('latin1').replace(/\0+$/, '').trim();
+      });
+    return {
+      model: strings.MINF || null,
+      serial: strings.CASN || null,
+      firmware: strings.FIRM || null
+    };
+  }
+
+  static read(filePath) {
+    const metadata = { hilights: [], camera: { model: null, serial: null, firmware: null } };
+    let fd;
+    try {
+      fd = fs.openSync(filePath, 'r');
+      const { size } = fs.fstatSync(fd);
+      const moov = this.findBox(fd, 0, size, 'moov');
+      const udta = moov && this.findBox(fd, moov.start, moov.end, 'udta');
+      if (!udta) {
+        return metadata;
+      }
+
+      const hmmt = this.findBox(fd, udta.start, udta.end, 'HMMT');
+      if (hmmt) {
+        metadata.hilights = this.parseHiLights(this.readPayload(fd, hmmt));
+      }
+      const gpmf = this.findBox(fd, udta.start, udta.end, 'GPMF');
+      if (gpmf) {
+        metadata.camera = this.parseCamera(this.readPayload(fd, gpmf));
+      }
+      // HERO4 and earlier only have a plain FIRM box
+      const firm = !metadata.camera.firmware && this.findBox(fd, udta.start, udta.end, 'FIRM');
+      if (firm) {
+        metadata.camera.firmware = this.readPayload(fd, firm).toString('latin1').replace(/\0+$/, '').trim() || null;
+      }
+      return metadata;
+    } catch (error) {
+      logger.warn('Could not read chapter metadata', { filePath, error: error.message });
+      return metadata;
+    } finally {
+      if (fd !== undefined) {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  // Places each chapter's HiLights on the timeline the chapters form in the given order
+  static hilightsOnTimeline(chapters) {
+    const hilights = [];
+    let offset = 0;
+    chapters.forEach(chapter => {
+      (chapter.hilights || []).forEach(time => {
+        hilights.push({ time: offset + time, chapter: chapter.id });
+      });
+      offset += (chapter.probe && chapter.probe.duration) || 0;
+    });
+    return hilights;
+  }
+}
+
+// In/out ranges on the merged timeline of a group selection
+class ClipRanges {
+  static MAX_CLIPS = 20;
+
+  // Ranges may overlap: each clip is written to its own file, and clips around nearby HiLights often do
+  static resolve(request, group, chapters) {
+    if (request.clips === undefined) {
+      return { clips: null, precise: false };
+    }
+
+    const precise = request.precise === undefined ? false : request.precise;
+    if (typeof precise !== 'boolean') {
+      throw httpError(400, `Group ${group.id} precise must be true or false`);
+    }
+    if (!Array.isArray(request.clips) || request.clips.length === 0 || request.clips.length > this.MAX_CLIPS) {
+      throw httpError(400, `Group ${group.id} needs between 1 and ${this.MAX_CLIPS} clips`);
+    }
+    if (precise && group.scheme === 'spherical') {
+      throw httpError(400, `Group ${group.id} is spherical footage and can only be cut on keyframes`);
+    }
+
+    // Durations come from the upload-time probe; without them only the ranges' shape is checked
+    const durations = chapters.map(chapter => chapter.probe && chapter.probe.duration);
+    const totalDuration = durations.every(Boolean) ? durations.reduce((sum, d) => sum + d, 0) : null;
+
+    const clips = request.clips.map((clip, index) => {
+      const { start, end } = clip || {};
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+        throw httpError(400, `Clip ${index + 1} of group ${group.id} needs numeric start < end in seconds`);
+      }
+      if (totalDuration !== null && end > totalDuration + 0.001) {
+        throw httpError(400, `Clip ${index + 1} of group ${group.id} ends after the merged duration (${totalDuration.toFixed(3)}s)`);
+      }
+      return { start, end };
+    });
+
+    logger.debug('Resolved clip ranges', { groupId: group.id, clips, precise, totalDuration });
+    return { clips, precise };
+  }
+}
+
+module.exports = {
+  OutputProfiles,
+  VideoProcessor,
+  TelemetryExtractor,
+  ChapterValidator,
+  ChapterMetadata,
+  ClipRanges
+};
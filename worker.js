@@ -0,0 +1,350 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+const {
+  OUTPUT_DIR,
+  FFMPEG_THREADS,
+  MAX_CONCURRENT_JOBS,
+  OUTPUT_FILENAME_TEMPLATE,
+  OUTPUT_SIDECAR,
+  PROMETHEUS_ENABLED,
+  METRICS_PORT
+} = require('./config');
+const { videoQueue, JobCancellation, JobEvents } = require('./queue');
+const { OutputProfiles, VideoProcessor, TelemetryExtractor } = require('./video');
+const { OutputNames, OutputSidecar, DownloadLinks, JobLogs } = require('./outputs');
+const { PartialOutputs, RetentionSweeper, WatchFolders } = require('./maintenance');
+const { DiskSpace } = require('./storage');
+const { Metrics } = require('./metrics');
+const { Shutdown } = require('./lifecycle');
+
+// Process queue jobs
+const processJob = async (job) => {
+  const { files, sessionId, groupId, extension, preview, clips, precise, destination, outputName, profile = OutputProfiles.DEFAULT } = job.data;
+  const signal = JobCancellation.register(job.id);
+  const endTimer = Metrics.jobDuration.startTimer({ profile });
+  
+  logger.info('Processing video job', { 
+    jobId: job.id,
+    sessionId, 
+    groupId, 
+    profile,
+    fileCount: files.length 
+  });
+  
+  let logPath = null;
+  try {
+    logPath = JobLogs.startAttempt(job, job.attemptsMade + 1);
+    
+    await job.progress(10);
+    JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: 10, stage: 'preparing' });
+    
+    logger.debug('Verifying input files exist', { fileCount: files.length });
+    for (const file of files) {
+      if (!fs.existsSync(file.path)) {
+        logger.error('Input file not found', { path: file.path, sessionId, groupId });
+        // Retrying cannot bring the file back
+        await job.discard();
+        throw new Error(`Input file not found: ${file.path}`);
+      }
+      logger.debug('Input file verified', { path: file.path, size: file.size });
+    }
+    
+    await job.progress(20);
+    
+    // MAX spherical footage keeps its .360 extension so GoPro Player still recognises it
+    const outputExtension = extension === '360' ? '.360' : '.mp4';
+    // Watch-folder jobs write outside the session dirs. The name is rendered from the
+    // filename template when the job is queued; jobs queued before templates existed fall back
+    // to one stamped with the queue time, so a retried attempt writes to the same name.
+    const outputDir = destination ? destination.dir : path.join(OUTPUT_DIR, sessionId);
+    const baseName = path.basename(
+      OutputNames.unique(
+        outputDir,
+        outputName || OutputNames.forJob(OUTPUT_FILENAME_TEMPLATE, { groupId, profile, timestamp: new Date(job.timestamp).toISOString().replace(/[:.]/g, '-') }),
+        outputExtension
+      ),
+      outputExtension
+    );
+    const outputFilename = `${baseName}${outputExtension}`;
+    const outputPath = path.join(outputDir, outputFilename);
+    
+    logger.debug('Preparing output directory', { outputPath });
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      logger.debug('Created output directory', { outputDir });
+    }
+    
+    // Not enough room fails this attempt, so the job comes back after the retry backoff
+    const requiredBytes = DiskSpace.estimateJob({ files, preview, clips });
+    await DiskSpace.reserve(job.id, outputDir, requiredBytes);
+    // Finished outputs plus the one ffmpeg is writing. A failed preview's partial file is deleted,
+    // so the total can go down as well as up.
+    let finishedBytes = 0;
+    let recordedBytes = 0;
+    const recordWritten = (bytesWritten) => {
+      const written = finishedBytes + (bytesWritten || 0);
+      if (Math.abs(written - recordedBytes) < DiskSpace.WRITTEN_STEP_BYTES) {
+        return;
+      }
+      recordedBytes = written;
+      DiskSpace.recordWritten(job.id, written).catch(error => {
+        logger.logError(error, { jobId: job.id, component: 'DiskSpace', method: 'recordWritten' });
+      });
+    };
+    
+    await job.progress(30);
+    
+    // The LRV proxies merge first so reviewers can scrub a preview long before the full-res file lands
+    let previewResult = null;
+    if (preview) {
+      const previewFilename = `${baseName}_preview.mp4`;
+      const previewPath = path.join(outputDir, previewFilename);
+      JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: 30, stage: 'preview' });
+      
+      try {
+        await VideoProcessor.concatenateVideos(
+          files.map(f => f.proxy.path),
+          previewPath,
+          (progress) => {
+            const progressPercent = Math.round(30 + (progress.percent * 0.1));
+            job.progress(progressPercent).catch(error => logger.logError(error, { jobId: job.id }));
+            recordWritten(progress.bytesWritten);
+            JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: progressPercent, stage: 'preview' });
+          },
+          { signal, logPath }
+        );
+        previewResult = {
+          filename: previewFilename,
+          size: fs.statSync(previewPath).size,
+          downloadUrl: DownloadLinks.url(sessionId, previewFilename)
+        };
+        finishedBytes += previewResult.size;
+        logger.info('Preview merge complete', { jobId: job.id, sessionId, groupId, previewFilename });
+        JobEvents.publish(sessionId, 'job-preview', { sessionId, groupId, ...previewResult });
+      } catch (error) {
+        if (error.code === 'JOB_CANCELLED') {
+          throw error;
+        }
+        // A broken proxy should not cost the user their full-res merge
+        logger.warn('Preview merge failed', { jobId: job.id, sessionId, groupId, error: error.message });
+      }
+    }
+    
+    const concatStart = preview ? 40 : 30;
+    const concatStage = OutputProfiles.isReencode(profile) || (clips && precise) ? 'encoding' : 'processing';
+    const inputPaths = files.map(f => f.path);
+    logger.debug('Input files prepared', { inputPaths });
+    
+    // Each output gets an equal slice of the job's progress between concatStart and 95%
+    const renderOutput = (targetPath, progressStart, progressEnd, range, clip) => VideoProcessor.concatenateVideos(
+      inputPaths,
+      targetPath,
+      (progress) => {
+        const progressPercent = Math.round(progressStart + (progress.percent * (progressEnd - progressStart) / 100));
+        job.progress(progressPercent).catch(error => logger.logError(error, { jobId: job.id }));
+        recordWritten(progress.bytesWritten);
+        logger.debug('Job progress update', {
+          sessionId,
+          groupId,
+          progressPercent,
+          time: progress.time,
+          speed: progress.speed,
+          eta: progress.eta
+        });
+        JobEvents.publish(sessionId, 'job-progress', {
+          sessionId,
+          groupId,
+          progress: progressPercent,
+          stage: concatStage,
+          profile,
+          clip,
+          time: progress.time,
+          outTime: progress.outTime,
+          totalDuration: progress.totalDuration,
+          bytesWritten: progress.bytesWritten,
+          speed: progress.speed,
+          eta: progress.eta
+        });
+      },
+      { signal, profile, range, precise: Boolean(range && precise), logPath }
+    );
+    
+    let telemetry = [];
+    let clipResults = null;
+    const rendered = [];
+    if (clips) {
+      // Clip jobs write only the requested ranges, never the full merge
+      clipResults = [];
+      const share = (95 - concatStart) / clips.length;
+      for (let i = 0; i < clips.length; i++) {
+        const clipNumber = i + 1;
+        const clipFilename = `${baseName}_clip${String(clipNumber).padStart(2, '0')}${outputExtension}`;
+        const clipPath = path.join(outputDir, clipFilename);
+        const clipResult = await renderOutput(clipPath, concatStart + i * share, concatStart + clipNumber * share, clips[i], clipNumber);
+        rendered.push({ outputPath: clipPath, ffmpegArgs: clipResult.ffmpegArgs, range: clips[i] });
+        clipResults.push({ filename: clipFilename, start: clips[i].start, end: clips[i].end, size: fs.statSync(clipPath).size });
+        finishedBytes += clipResults[i].size;
+        logger.info('Clip exported', { jobId: job.id, sessionId, groupId, clipFilename, ...clips[i], precise });
+      }
+    } else {
+      const concatResult = await renderOutput(outputPath, concatStart, 95, null, null);
+      rendered.push({ outputPath, ffmpegArgs: concatResult.ffmpegArgs });
+      
+      await job.progress(96);
+      JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: 96, stage: 'telemetry' });
+      
+      // Telemetry is a bonus: a failure here must not throw away a finished merge
+      try {
+        telemetry = await TelemetryExtractor.exportForOutput(inputPaths, concatResult.probes, outputPath);
+      } catch (error) {
+        logger.warn('Telemetry export failed', { jobId: job.id, sessionId, groupId, error: error.message });
+      }
+    }
+    
+    const sidecars = [];
+    if (OUTPUT_SIDECAR) {
+      await job.progress(97);
+      JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: 97, stage: 'sidecar' });
+      try {
+        const checksums = await OutputSidecar.checksumChapters(files);
+        rendered.forEach(output => {
+          sidecars.push(OutputSidecar.write(output.outputPath, { job, files, checksums, ...output }));
+        });
+      } catch (error) {
+        logger.warn('Sidecar export failed', { jobId: job.id, sessionId, groupId, error: error.message });
+      }
+    }
+    
+    await job.progress(100);
+    
+    const fileSize = clipResults
+      ? clipResults.reduce((sum, clip) => sum + clip.size, 0)
+      : fs.statSync(outputPath).size;
+    const result = {
+      success: true,
+      outputPath: clipResults ? null : outputPath,
+      outputFilename: clipResults ? null : outputFilename,
+      fileSize,
+      clips: clipResults,
+      profile,
+      telemetry,
+      sidecars,
+      preview: previewResult,
+      sessionId,
+      groupId
+    };
+    
+    logger.info('Job completed successfully', { 
+      jobId: job.id,
+      sessionId, 
+      groupId, 
+      outputFilename: result.outputFilename,
+      clipCount: clipResults ? clipResults.length : 0,
+      fileSize 
+    });
+    
+    endTimer({ outcome: 'completed' });
+    Metrics.outputBytes.inc({ profile }, fileSize + (previewResult ? previewResult.size : 0));
+    JobEvents.publish(sessionId, 'job-complete', result);
+    return result;
+    
+  } catch (error) {
+    if (error.code === 'JOB_CANCELLED' && signal.reason === JobCancellation.SHUTDOWN) {
+      // Interrupted by a deploy, not the user: fail the attempt so the job retries on another worker
+      error.message = 'Worker shut down before the job finished';
+      error.code = 'WORKER_SHUTDOWN';
+    }
+    if (error.code === 'JOB_CANCELLED') {
+      logger.info('Job cancelled', { jobId: job.id, sessionId, groupId });
+      endTimer({ outcome: 'cancelled' });
+      await job.discard();
+      JobEvents.publish(sessionId, 'job-cancelled', { jobId: job.id, sessionId, groupId });
+      throw error;
+    }
+
+    // Bull has not counted this attempt yet
+    const attempt = job.attemptsMade + 1;
+    const willRetry = !job.isDiscarded() && attempt < (job.opts.attempts || 1);
+    endTimer({ outcome: willRetry ? 'retrying' : 'failed' });
+    logger.logError(error, { 
+      jobId: job.id,
+      sessionId, 
+      groupId,
+      attempt,
+      willRetry,
+      logPath,
+      component: 'videoQueue.process' 
+    });
+    if (willRetry) {
+      JobEvents.publish(sessionId, 'job-progress', { sessionId, groupId, progress: 0, stage: 'retrying', attempt, error: error.message, code: error.code });
+    } else {
+      JobEvents.publish(sessionId, 'job-error', { sessionId, groupId, error: error.message, code: error.code });
+    }
+    throw error;
+  } finally {
+    JobCancellation.unregister(job.id);
+    await DiskSpace.release(job.id).catch(error => {
+      logger.logError(error, { jobId: job.id, component: 'DiskSpace', method: 'release' });
+    });
+  }
+};
+
+// Jobs are added as 'concatenate', so the handler is registered under that name
+const startWorker = () => {
+  logger.info('Starting queue worker', { concurrency: MAX_CONCURRENT_JOBS, ffmpegThreads: FFMPEG_THREADS });
+  try {
+    PartialOutputs.sweep({ trigger: 'startup' });
+  } catch (error) {
+    logger.logError(error, { component: 'PartialOutputs', trigger: 'startup' });
+  }
+  DiskSpace.prune().catch(error => {
+    logger.logError(error, { component: 'DiskSpace', method: 'prune' });
+  });
+  // Everything logged while the job runs carries its id and the id of the request that queued it
+  videoQueue.process('concatenate', MAX_CONCURRENT_JOBS, (job) => logger.runWithContext(
+    { requestId: job.data.requestId, jobId: job.id },
+    () => processJob(job)
+  ));
+  JobCancellation.listen();
+  // Started with the worker rather than the API, so API replicas don't need the watched shares
+  // mounted; with several workers, a lease in Redis picks the one that runs them
+  RetentionSweeper.start();
+  WatchFolders.start();
+};
+
+const waitForJobs = async (deadline, reserveMs) => {
+  while (JobCancellation.running().length > 0 && Shutdown.remaining(deadline, reserveMs) > 0) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+};
+
+// Stops taking new jobs and lets running ones finish while the shutdown deadline allows. Merges
+// still running after that are killed and fail their attempt, so Bull retries them elsewhere.
+const stopWorker = async (deadline) => {
+  await Promise.all([RetentionSweeper.stop(), WatchFolders.stop()]);
+  await videoQueue.pause(true, true);
+  logger.info('Worker paused for shutdown', { runningJobs: JobCancellation.running() });
+
+  await waitForJobs(deadline, 5000);
+  const unfinished = JobCancellation.running();
+  if (unfinished.length > 0) {
+    logger.warn('Interrupting running jobs for shutdown', { jobIds: unfinished });
+    JobCancellation.abortAll(JobCancellation.SHUTDOWN);
+    await waitForJobs(deadline, 1000);
+  }
+};
+
+if (require.main === module) {
+  OutputNames.checkTemplate('OUTPUT_FILENAME_TEMPLATE', OUTPUT_FILENAME_TEMPLATE);
+  if (PROMETHEUS_ENABLED) {
+    Metrics.serve(METRICS_PORT);
+  }
+  startWorker();
+  Shutdown.install(async (deadline) => {
+    await stopWorker(deadline);
+    await Shutdown.closeQueue();
+  });
+}
+
+module.exports = { startWorker, stopWorker };